@@ -3,6 +3,168 @@
    SVG Ellipse Mask Transition System
 ======================================== */
 
+// ========================================
+// ANIMATION SCHEDULER
+// One requestAnimationFrame loop for every canvas on the page.
+// Modules register a tick(dt, elapsed) callback; the scheduler gates it on
+// tab visibility and on-screen intersection, runs tasks in priority order
+// within a shared frame budget, and passes real elapsed seconds.
+// ========================================
+const AnimationScheduler = (() => {
+    const PRIORITY = { LOW: 0, NORMAL: 1, HIGH: 2, CRITICAL: 3 };
+
+    const MAX_DELTA = 0.1;      // seconds; longer gaps (tab switch, stall) are clamped
+    const MAX_SKIPPED = 3;      // frames a task can be deferred before it runs regardless of budget
+
+    const tasks = [];
+    let frameBudget = 10;       // ms of main-thread work per frame for non-critical tasks
+    let rafId = null;
+    let isPaused = false;
+    let lastFrameMs = 0;
+
+    // One observer for every registered element
+    const observer = typeof IntersectionObserver === 'function'
+        ? new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                tasks.forEach(task => {
+                    if (task.element === entry.target) task.inView = entry.isIntersecting;
+                });
+            });
+            update();
+        }, { threshold: 0.1 })
+        : null;
+
+    const isActive = (task) => task.enabled && task.inView;
+
+    // Start or stop the shared loop and notify tasks whose gating changed
+    function update() {
+        const canRun = !isPaused && !document.hidden;
+        let anyRunning = false;
+
+        tasks.forEach(task => {
+            const shouldRun = canRun && isActive(task);
+            if (shouldRun && !task.running) {
+                task.running = true;
+                task.lastTick = 0;
+                if (task.onStart) task.onStart();
+            } else if (!shouldRun && task.running) {
+                task.running = false;
+                if (task.onStop) task.onStop();
+            }
+            // Gate-only tasks (no tick) never keep the frame loop alive
+            if (task.running && task.tick) anyRunning = true;
+        });
+
+        if (anyRunning && !rafId) {
+            rafId = requestAnimationFrame(frame);
+        } else if (!anyRunning && rafId) {
+            cancelAnimationFrame(rafId);
+            rafId = null;
+        }
+    }
+
+    function frame(now) {
+        rafId = requestAnimationFrame(frame);
+        const frameStart = performance.now();
+
+        for (let i = 0; i < tasks.length; i++) {
+            const task = tasks[i];
+            if (!task.running || !task.tick) continue;
+
+            // Resumed tasks start from zero instead of jumping by the time they were paused
+            const dt = task.lastTick ? Math.min(MAX_DELTA, (now - task.lastTick) / 1000) : 0;
+
+            const overBudget = performance.now() - frameStart > frameBudget;
+            if (overBudget && task.priority < PRIORITY.CRITICAL && task.skipped < MAX_SKIPPED) {
+                // Deferred: the next tick receives the accumulated time
+                task.skipped++;
+                continue;
+            }
+
+            task.skipped = 0;
+            task.lastTick = now;
+            task.elapsed += dt;
+            try {
+                task.tick(dt, task.elapsed);
+            } catch (err) {
+                console.warn(`AnimationScheduler: ${task.name} failed and was removed -`, err);
+                task.handle.unregister();
+                i--;
+            }
+        }
+
+        lastFrameMs = performance.now() - frameStart;
+    }
+
+    // options: tick(dt, elapsed), element (gate on intersection),
+    // priority (PRIORITY value, default NORMAL), enabled (default true),
+    // onStart/onStop (called when the task starts or stops receiving ticks).
+    // Without tick the task only gates: onStart/onStop still fire, no frames run for it.
+    function register(name, options) {
+        const task = {
+            name,
+            tick: options.tick,
+            element: options.element || null,
+            priority: options.priority !== undefined ? options.priority : PRIORITY.NORMAL,
+            enabled: options.enabled !== false,
+            inView: !options.element || !observer,
+            onStart: options.onStart,
+            onStop: options.onStop,
+            running: false,
+            lastTick: 0,
+            elapsed: 0,
+            skipped: 0
+        };
+
+        task.handle = {
+            name,
+            enable() { task.enabled = true; update(); },
+            disable() { task.enabled = false; update(); },
+            isRunning: () => task.running,
+            unregister() {
+                const index = tasks.indexOf(task);
+                if (index === -1) return;
+                tasks.splice(index, 1);
+                if (task.element && observer && !tasks.some(t => t.element === task.element)) {
+                    observer.unobserve(task.element);
+                }
+                if (task.running && task.onStop) task.onStop();
+                task.running = false;
+                update();
+            }
+        };
+
+        // Stable sort keeps registration order within a priority
+        tasks.push(task);
+        tasks.sort((a, b) => b.priority - a.priority);
+
+        if (task.element && observer) observer.observe(task.element);
+        update();
+
+        return task.handle;
+    }
+
+    document.addEventListener('visibilitychange', update);
+
+    return {
+        PRIORITY,
+        register,
+
+        // Single switch for every registered animation
+        pause() { isPaused = true; update(); },
+        resume() { isPaused = false; update(); },
+        isPaused: () => isPaused,
+
+        setFrameBudget(ms) { frameBudget = ms; },
+
+        stats: () => ({
+            tasks: tasks.length,
+            running: tasks.filter(t => t.running).length,
+            lastFrameMs
+        })
+    };
+})();
+
 // Wait for DOM and GSAP to be ready
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize GSAP and ScrollTrigger
@@ -233,11 +395,6 @@ document.addEventListener('DOMContentLoaded', () => {
         let currentMouseX = 0, currentMouseY = 0;
         let primMouseX = 0, primMouseY = 0;
 
-        // Performance: Visibility state
-        let isVisible = false;
-        let isPaused = true;
-        let animationId = null;
-
         window.addEventListener('mousemove', (e) => {
             primMouseX = (e.clientX / window.innerWidth) * 2 - 1;
             primMouseY = (e.clientY / window.innerHeight) * 2 - 1;
@@ -262,31 +419,13 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         };
 
-        // Pause animation
-        const pause = () => {
-            isPaused = true;
-            if (animationId) {
-                cancelAnimationFrame(animationId);
-                animationId = null;
-            }
-        };
-
-        // Resume animation
-        const resume = () => {
-            if (!isVisible || document.hidden) return;
-            if (isPaused) {
-                isPaused = false;
-                render();
-            }
-        };
-
         // Initial size + resize listener
         updateSize();
         window.addEventListener('resize', updateSize);
 
-        const render = () => {
-            if (isPaused) return;
-
+        // dt in seconds; rates below were tuned per 60fps frame
+        const render = (dt) => {
+            const frames = dt * 60;
             const size = canvas.offsetWidth || 48;
             const dpr = window.devicePixelRatio || 1;
 
@@ -296,10 +435,11 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.scale(dpr, dpr);
             ctx.clearRect(0, 0, size, size);
 
-            baseAngleX += 0.002;
-            baseAngleY += 0.003;
-            currentMouseX += (primMouseY * 1.5 - currentMouseX) * 0.05;
-            currentMouseY += (primMouseX * 1.5 - currentMouseY) * 0.05;
+            baseAngleX += 0.002 * frames;
+            baseAngleY += 0.003 * frames;
+            const follow = 1 - Math.pow(0.95, frames);
+            currentMouseX += (primMouseY * 1.5 - currentMouseX) * follow;
+            currentMouseY += (primMouseX * 1.5 - currentMouseY) * follow;
 
             const angleX = baseAngleX + currentMouseX;
             const angleY = baseAngleY + currentMouseY;
@@ -326,33 +466,15 @@ document.addEventListener('DOMContentLoaded', () => {
                 ctx.lineTo(projected[v2].x, projected[v2].y);
             }
             ctx.stroke();
-
-            animationId = requestAnimationFrame(render);
         };
 
-        // Performance: Pause when tab is hidden
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                pause();
-            } else if (isVisible) {
-                resume();
-            }
+        // Performance: the scheduler only ticks while the canvas is on screen and the tab is visible
+        AnimationScheduler.register(`primitive:${canvasId}`, {
+            element: canvas,
+            priority: AnimationScheduler.PRIORITY.LOW,
+            tick: render
         });
 
-        // Performance: Only animate when visible (IntersectionObserver)
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    isVisible = true;
-                    resume();
-                } else {
-                    isVisible = false;
-                    pause();
-                }
-            });
-        }, { threshold: 0.1 });
-        observer.observe(canvas);
-
         console.log(`✓ Primitive ${canvasId} Initialized (visibility-aware)`);
     }
 
@@ -392,10 +514,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const twinkleSpeed = options.twinkleSpeed || 0.02;
 
         let stars = [];
-        let animationId = null;
         let time = 0;
-        let isVisible = false;
-        let isPaused = true;
 
         // Generate stars
         function generateStars() {
@@ -428,33 +547,13 @@ document.addEventListener('DOMContentLoaded', () => {
             generateStars();
         }
 
-        // Pause animation
-        function pause() {
-            isPaused = true;
-            if (animationId) {
-                cancelAnimationFrame(animationId);
-                animationId = null;
-            }
-        }
-
-        // Resume animation
-        function resume() {
-            if (!isVisible || document.hidden) return;
-            if (isPaused) {
-                isPaused = false;
-                render();
-            }
-        }
-
-        // Render stars
-        function render() {
-            if (isPaused) return;
-
+        // Render stars (dt in seconds; twinkleSpeed is per 60fps frame)
+        function render(dt) {
             const width = canvas.width / (window.devicePixelRatio || 1);
             const height = canvas.height / (window.devicePixelRatio || 1);
 
             ctx.clearRect(0, 0, width, height);
-            time += twinkleSpeed;
+            time += twinkleSpeed * dt * 60;
 
             for (let i = 0; i < stars.length; i++) {
                 const star = stars[i];
@@ -465,36 +564,18 @@ document.addEventListener('DOMContentLoaded', () => {
                 ctx.fillStyle = `rgba(255, 255, 255, ${twinkle * 0.6})`;
                 ctx.fill();
             }
-
-            animationId = requestAnimationFrame(render);
         }
 
         // Initialize
         handleResize();
 
-        // Performance: Pause when tab is hidden
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                pause();
-            } else if (isVisible) {
-                resume();
-            }
+        // Performance: the scheduler only ticks while the canvas is on screen and the tab is visible
+        AnimationScheduler.register(`stars:${canvasId}`, {
+            element: canvas,
+            priority: AnimationScheduler.PRIORITY.LOW,
+            tick: render
         });
 
-        // Performance: Only animate when visible (IntersectionObserver)
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    isVisible = true;
-                    resume();
-                } else {
-                    isVisible = false;
-                    pause();
-                }
-            });
-        }, { threshold: 0.1 });
-        observer.observe(canvas);
-
         // Handle resize with debounce
         let resizeTimeout;
         window.addEventListener('resize', () => {
@@ -572,55 +653,6 @@ document.addEventListener('DOMContentLoaded', () => {
         return tl;
     };
 
-    // PAGE LEAVE TRANSITION (for navigation clicks)
-    const pageLeaveTransition = (targetSection) => {
-        // Make overlay visible again
-        gsap.set(transitionOverlay, { autoAlpha: 1 });
-
-        const center = getEllipseCenter();
-
-        const tl = gsap.timeline({
-            onComplete: () => {
-                // Scroll to target section
-                if (targetSection) {
-                    const element = document.getElementById(targetSection);
-                    if (element) {
-                        element.scrollIntoView({ behavior: 'smooth' });
-                    }
-                }
-
-                // Re-expand ellipse to reveal new section
-                setTimeout(() => {
-                    const size = getEllipseSize();
-                    gsap.to(maskEllipse, {
-                        attr: {
-                            rx: size.rx,
-                            ry: size.ry
-                        },
-                        duration: 1.5,
-                        ease: "power3.out",
-                        onComplete: () => {
-                            gsap.set(transitionOverlay, { autoAlpha: 0, delay: 0.3 });
-                        }
-                    });
-                }, 100);
-            }
-        });
-
-        tl.to(maskEllipse, {
-            attr: {
-                cx: center.cx,
-                cy: center.cy,
-                rx: 0,
-                ry: 0
-            },
-            duration: 1.2,
-            ease: "power3.in"
-        });
-
-        return tl;
-    };
-
     // Start page enter animation
     pageEnterTransition();
 
@@ -653,6 +685,220 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 150);
     });
 
+    /* ========================================
+       PAGE TRANSITION REGISTRY
+    ======================================== */
+
+    // Every transition animates black "holes" in the shared #ellipse-mask: open() sets them
+    // to show the whole page, cover() closes them, reveal() opens them again over the new section
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const transitionMask = maskEllipse.parentNode;
+    const pageTransitions = new Map();
+    let currentTransition = null;
+
+    const addMaskShape = (tag) => {
+        const shape = document.createElementNS(SVG_NS, tag);
+        shape.setAttribute('fill', 'black');
+        shape.style.display = 'none';
+        transitionMask.appendChild(shape);
+        return shape;
+    };
+
+    // Only the running transition's shapes may cut into the overlay
+    const maskShapes = [maskEllipse];
+    const showMaskShapes = (shapes) => {
+        maskShapes.forEach(shape => {
+            shape.style.display = shapes.includes(shape) ? '' : 'none';
+        });
+    };
+
+    const defineTransition = (name, spec) => {
+        pageTransitions.set(name, { name, ...spec });
+    };
+
+    // Ellipse radii (same proportions as the entrance) that cover the viewport from a point
+    const ELLIPSE_ASPECT = 2700 / 2150;
+    const ellipseRadiiFrom = (x, y) => {
+        const corners = [[0, 0], [window.innerWidth, 0], [0, window.innerHeight], [window.innerWidth, window.innerHeight]];
+        const ry = Math.max(...corners.map(([cx, cy]) => Math.hypot((cx - x) / ELLIPSE_ASPECT, cy - y)));
+        return { rx: ry * ELLIPSE_ASPECT, ry };
+    };
+
+    // Original behavior: ellipse anchored below the viewport
+    defineTransition('ellipse', {
+        shapes: () => [maskEllipse],
+        open: () => {
+            const center = getEllipseCenter();
+            const size = getEllipseSize();
+            gsap.set(maskEllipse, { attr: { cx: center.cx, cy: center.cy, rx: size.rx, ry: size.ry } });
+        },
+        cover: () => gsap.to(maskEllipse, { attr: { rx: 0, ry: 0 }, duration: 1.2, ease: "power3.in" }),
+        reveal: () => {
+            const size = getEllipseSize();
+            return gsap.to(maskEllipse, { attr: { rx: size.rx, ry: size.ry }, duration: 1.5, ease: "power3.out" });
+        }
+    });
+
+    // Ellipse that closes onto (and reopens from) the clicked point
+    defineTransition('ellipse-click', {
+        shapes: () => [maskEllipse],
+        open: (origin) => {
+            const radii = ellipseRadiiFrom(origin.x, origin.y);
+            gsap.set(maskEllipse, { attr: { cx: origin.x, cy: origin.y, rx: radii.rx, ry: radii.ry } });
+        },
+        cover: () => gsap.to(maskEllipse, { attr: { rx: 0, ry: 0 }, duration: 0.9, ease: "power3.in" }),
+        reveal: (origin) => {
+            const radii = ellipseRadiiFrom(origin.x, origin.y);
+            return gsap.to(maskEllipse, { attr: { rx: radii.rx, ry: radii.ry }, duration: 1.2, ease: "power3.out" });
+        }
+    });
+
+    // Circle centered on the viewport
+    const wipeRadius = () => Math.hypot(window.innerWidth, window.innerHeight) / 2;
+    defineTransition('circle-wipe', {
+        shapes: () => [maskEllipse],
+        open: () => {
+            const r = wipeRadius();
+            gsap.set(maskEllipse, { attr: { cx: window.innerWidth / 2, cy: window.innerHeight / 2, rx: r, ry: r } });
+        },
+        cover: () => gsap.to(maskEllipse, { attr: { rx: 0, ry: 0 }, duration: 0.7, ease: "power2.in" }),
+        reveal: () => {
+            const r = wipeRadius();
+            return gsap.to(maskEllipse, { attr: { rx: r, ry: r }, duration: 0.9, ease: "power2.out" });
+        }
+    });
+
+    // Horizontal blinds: each band closes toward its middle line, top to bottom
+    const BLIND_COUNT = 8;
+    const blinds = Array.from({ length: BLIND_COUNT }, () => addMaskShape('rect'));
+    maskShapes.push(...blinds);
+    const blindHeight = () => window.innerHeight / BLIND_COUNT;
+
+    defineTransition('blinds', {
+        shapes: () => blinds,
+        open: () => {
+            const band = blindHeight();
+            blinds.forEach((blind, i) => {
+                // +1px keeps neighbouring bands from leaving hairline seams
+                gsap.set(blind, { attr: { x: 0, y: i * band, width: window.innerWidth, height: band + 1 } });
+            });
+        },
+        cover: () => {
+            const band = blindHeight();
+            const tl = gsap.timeline();
+            blinds.forEach((blind, i) => {
+                tl.to(blind, { attr: { y: i * band + band / 2, height: 0 }, duration: 0.45, ease: "power2.in" }, i * 0.05);
+            });
+            return tl;
+        },
+        reveal: () => {
+            const band = blindHeight();
+            const tl = gsap.timeline();
+            blinds.forEach((blind, i) => {
+                tl.to(blind, { attr: { y: i * band, height: band + 1 }, duration: 0.55, ease: "power2.out" }, i * 0.05);
+            });
+            return tl;
+        }
+    });
+
+    // Diagonal sweep: a 45° edge travels from the top-left corner to the bottom-right,
+    // first covering the page and then uncovering it in the same direction
+    const sweep = addMaskShape('polygon');
+    maskShapes.push(sweep);
+    const sweepState = { offset: 0, ahead: true };
+    const sweepLength = () => window.innerWidth + window.innerHeight;
+
+    const drawSweep = () => {
+        const c = sweepState.offset;
+        const far = 3 * sweepLength();
+        // Triangle bounded by the line x + y = c, on the uncovered side of the edge
+        const points = sweepState.ahead
+            ? [[far, c - far], [c - far, far], [far, far]]
+            : [[c + far, -far], [-far, c + far], [-far, -far]];
+        sweep.setAttribute('points', points.map(p => p.join(',')).join(' '));
+    };
+
+    defineTransition('diagonal-sweep', {
+        shapes: () => [sweep],
+        open: () => {
+            sweepState.offset = 0;
+            sweepState.ahead = true;
+            drawSweep();
+        },
+        cover: () => gsap.to(sweepState, { offset: sweepLength(), duration: 0.8, ease: "power2.inOut", onUpdate: drawSweep }),
+        reveal: () => gsap.fromTo(sweepState, { offset: 0 }, {
+            offset: sweepLength(),
+            duration: 0.9,
+            ease: "power2.inOut",
+            immediateRender: false,
+            onStart: () => { sweepState.ahead = false; },
+            onUpdate: drawSweep
+        })
+    });
+
+    // Cover the page, scroll to the target section (and run onCovered), then reveal it.
+    // Resolves once the new section is fully visible, or early if another transition takes over.
+    const runPageTransition = (targetSection, { transition = 'ellipse', origin = null, onCovered = null } = {}) => {
+        let spec = pageTransitions.get(transition);
+        if (!spec) {
+            console.warn(`Transitions: Unknown transition "${transition}", using ellipse`);
+            spec = pageTransitions.get('ellipse');
+        }
+        const point = origin || { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+
+        const arrive = (behavior) => {
+            const element = targetSection && document.getElementById(targetSection);
+            if (element) {
+                element.scrollIntoView({ behavior });
+            }
+            // A failing handler must not stop the reveal and strand the overlay
+            try {
+                if (onCovered) onCovered();
+            } catch (err) {
+                console.warn('Transitions: onCovered handler failed -', err);
+            }
+        };
+
+        // GSAP is frozen for reduced motion, so jump straight there
+        if (prefersReducedMotion) {
+            arrive('instant');
+            return Promise.resolve();
+        }
+
+        if (currentTransition) currentTransition.kill();
+        gsap.killTweensOf(maskShapes);
+        gsap.killTweensOf(sweepState);
+
+        return new Promise((resolve) => {
+            showMaskShapes(spec.shapes());
+            spec.open(point);
+            gsap.set(transitionOverlay, { autoAlpha: 1 });
+
+            const tl = gsap.timeline({
+                onComplete: () => {
+                    currentTransition = null;
+                    resolve();
+                },
+                onInterrupt: resolve
+            });
+
+            tl.add(spec.cover(point))
+                .add(() => arrive('smooth'))
+                // Re-open the mask to reveal the new section
+                .add(spec.reveal(point), "+=0.1")
+                .set(transitionOverlay, { autoAlpha: 0 }, "+=0.3");
+
+            currentTransition = tl;
+        });
+    };
+
+    // Public hook so other scripts can add or await transitions
+    window.pageTransitions = {
+        define: defineTransition,
+        run: runPageTransition,
+        names: () => [...pageTransitions.keys()]
+    };
+
     /* ========================================
        HERO CONTENT ANIMATIONS
     ======================================== */
@@ -728,9 +974,43 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const header = document.querySelector('.main-header');
     let lastScrollY = window.scrollY;
+    let lastScrollTime = performance.now();
+
+    // Hide on downward scroll, reveal on upward intent
+    const HEADER_TOP_ZONE = 120;    // px; the header always shows this close to the top
+    const HIDE_DISTANCE = 120;      // px of steady downward travel before hiding
+    const REVEAL_DISTANCE = 60;     // px of steady upward travel before revealing
+    const SPEED_UNIT = 0.5;         // px/ms; faster scrolling needs proportionally less travel
+
+    let headerHidden = false;
+    let scrollSpeed = 0;            // smoothed px/ms
+    let scrollTravel = 0;           // signed px travelled in the current direction
+
+    const travelNeeded = (distance) => distance / Math.max(1, scrollSpeed / SPEED_UNIT);
+
+    // Open menus and keyboard focus keep the header on screen (a clicked link keeps focus,
+    // so only :focus-visible counts)
+    const isHeaderPinned = () =>
+        !!header.querySelector(':focus-visible, .nav-item.has-dropdown.active, .mobile-menu-toggle.active');
+
+    const setHeaderHidden = (hidden) => {
+        if (hidden === headerHidden) return;
+        headerHidden = hidden;
+        header.classList.toggle('is-hidden', hidden);
+
+        gsap.to(header, {
+            yPercent: hidden ? -100 : 0,
+            duration: hidden ? 0.3 : 0.4,
+            ease: hidden ? "power2.in" : "power3.out",
+            overwrite: true,
+            // Leave no transform behind on the fixed mobile menu's container
+            onComplete: hidden ? null : () => gsap.set(header, { clearProps: "transform" })
+        });
+    };
 
     window.addEventListener('scroll', () => {
         const currentScrollY = window.scrollY;
+        const now = performance.now();
 
         if (currentScrollY > 50) {
             header.classList.add('scrolled');
@@ -738,14 +1018,122 @@ document.addEventListener('DOMContentLoaded', () => {
             header.classList.remove('scrolled');
         }
 
+        const delta = currentScrollY - lastScrollY;
+        const elapsed = Math.max(now - lastScrollTime, 1);
+        scrollSpeed = scrollSpeed * 0.6 + (Math.abs(delta) / elapsed) * 0.4;
+
+        // A change of direction starts the travel count again
+        if (delta !== 0 && Math.sign(delta) !== Math.sign(scrollTravel)) {
+            scrollTravel = 0;
+        }
+        scrollTravel += delta;
+
+        if (currentScrollY < HEADER_TOP_ZONE || isHeaderPinned()) {
+            setHeaderHidden(false);
+        } else if (!prefersReducedMotion) {
+            if (scrollTravel > travelNeeded(HIDE_DISTANCE)) {
+                setHeaderHidden(true);
+            } else if (-scrollTravel > travelNeeded(REVEAL_DISTANCE)) {
+                setHeaderHidden(false);
+            }
+        }
+
         lastScrollY = currentScrollY;
+        lastScrollTime = now;
+    }, { passive: true });
+
+    // Tabbing into a hidden header brings it back
+    header.addEventListener('focusin', (e) => {
+        if (e.target.matches(':focus-visible')) setHeaderHidden(false);
+    });
+
+    /* ========================================
+       SECTION ROUTER - Hash + History
+    ======================================== */
+
+    // Routes look like #about or #services/mvp-build; a section can claim the part after the slash
+    const sectionRoutes = new Map();
+
+    const parseRoute = (hash) => {
+        const [section, detail = null] = hash.replace(/^#/, '').split('/');
+        return { section: section || 'home', detail };
+    };
+
+    const applyRouteDetail = ({ section, detail }) => {
+        const handler = sectionRoutes.get(section);
+        if (handler && detail) handler(detail);
+    };
+
+    // Run a page transition to a route; resolves once the new section is revealed
+    const showRoute = (route, options = {}) => {
+        if (!document.getElementById(route.section)) return Promise.resolve(false);
+        return runPageTransition(route.section, {
+            ...options,
+            onCovered: () => applyRouteDetail(route)
+        }).then(() => true);
+    };
+
+    // Record a route without transitioning (e.g. after opening a service card in place)
+    const pushRoute = (path, transition) => {
+        if (window.location.hash !== `#${path}`) {
+            history.pushState({ route: path, transition }, '', `#${path}`);
+        }
+    };
+
+    // options: { transition, origin } as accepted by runPageTransition
+    const navigateTo = (path, options = {}) => {
+        const route = parseRoute(path);
+        if (!document.getElementById(route.section)) return false;
+        pushRoute(path, options.transition);
+        showRoute(route, options);
+        return true;
+    };
+
+    // Click point for click-anchored transitions; keyboard activation uses the link's center
+    const clickOrigin = (e, link) => {
+        if (e.detail > 0) return { x: e.clientX, y: e.clientY };
+        const rect = link.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    };
+
+    // Links choose their transition with data-transition (default: ellipse)
+    const linkTransition = (e, link) => ({
+        transition: link.getAttribute('data-transition') || undefined,
+        origin: clickOrigin(e, link)
+    });
+
+    // Back/forward (and hand-edited hashes) replay the transition the entry was made with
+    window.addEventListener('popstate', (e) => {
+        showRoute(parseRoute(window.location.hash), { transition: e.state?.transition });
     });
 
+    // Initial URL: the hash wins, then ?section= from campaign links
+    const startRouter = () => {
+        const params = new URLSearchParams(window.location.search);
+        let path = window.location.hash.replace(/^#/, '');
+
+        if (!path && params.get('section')) {
+            path = params.get('section');
+            params.delete('section');
+            const query = params.toString();
+            history.replaceState({ route: path }, '', `${window.location.pathname}${query ? `?${query}` : ''}#${path}`);
+        }
+
+        const route = parseRoute(path);
+        const target = path && document.getElementById(route.section);
+        if (!target) return;
+
+        // Land on the section before the entrance ellipse opens over it
+        history.scrollRestoration = 'manual';
+        target.scrollIntoView({ behavior: 'instant', block: 'start' });
+        applyRouteDetail(route);
+    };
+
     /* ========================================
        NAVIGATION INTERACTIONS
     ======================================== */
 
-    // Nav link click with ellipse transition
+    // Nav link click with page transition
     const navLinks = document.querySelectorAll('.nav-link[data-section]');
 
     navLinks.forEach(link => {
@@ -759,8 +1147,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 activeDropdown.classList.remove('active');
             }
 
-            // Trigger page leave transition
-            pageLeaveTransition(targetSection);
+            // Record the section and run the page transition
+            navigateTo(targetSection, linkTransition(e, link));
         });
     });
 
@@ -973,10 +1361,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Close menu when clicking nav links
         mobileNavLinks.forEach(link => {
-            link.addEventListener('click', () => {
+            link.addEventListener('click', (e) => {
                 if (mobileMenuToggle.classList.contains('active')) {
                     toggleMobileMenu();
                 }
+
+                // Section links go through the router like the desktop nav
+                const targetSection = link.getAttribute('data-section');
+                if (targetSection && navigateTo(targetSection, linkTransition(e, link))) {
+                    e.preventDefault();
+                }
             });
         });
 
@@ -1008,7 +1402,7 @@ document.addEventListener('DOMContentLoaded', () => {
     document.querySelectorAll('a[href^="#"]').forEach(anchor => {
         anchor.addEventListener('click', function (e) {
             const href = this.getAttribute('href');
-            if (href !== '#' && !this.hasAttribute('data-section')) {
+            if (href !== '#' && !this.hasAttribute('data-section') && !this.hasAttribute('data-service')) {
                 e.preventDefault();
                 const target = document.querySelector(href);
                 if (target) {
@@ -1123,6 +1517,26 @@ document.addEventListener('DOMContentLoaded', () => {
         const serviceItems = document.querySelectorAll('.service-item');
         let currentlyExpanded = null;
 
+        const collapseServiceItem = (item) => {
+            item.classList.remove('is-expanded');
+            item.classList.remove('is-hovered');
+            item.setAttribute('aria-expanded', 'false');
+            item._expandTl.reverse();
+            if (currentlyExpanded === item) currentlyExpanded = null;
+        };
+
+        // Expand one item, closing whichever is open (accordion behavior)
+        const expandServiceItem = (item) => {
+            if (currentlyExpanded && currentlyExpanded !== item) {
+                collapseServiceItem(currentlyExpanded);
+            }
+            item.classList.add('is-expanded');
+            item.classList.add('is-hovered');
+            item.setAttribute('aria-expanded', 'true');
+            item._expandTl.play();
+            currentlyExpanded = item;
+        };
+
         serviceItems.forEach(item => {
             // Pre-set background image from data attribute
             const bgImage = item.getAttribute('data-image');
@@ -1139,9 +1553,12 @@ document.addEventListener('DOMContentLoaded', () => {
             const details = item.querySelector('.service-details');
 
             // Create paused timeline for expand animation
+            // Cards change height, so trigger positions below them (scroll-spy included) are re-measured
             const expandTl = gsap.timeline({
                 paused: true,
-                defaults: { ease: "power2.inOut", duration: 0.4 }
+                defaults: { ease: "power2.inOut", duration: 0.4 },
+                onComplete: () => ScrollTrigger.refresh(),
+                onReverseComplete: () => ScrollTrigger.refresh()
             });
 
             // Define expand animation steps
@@ -1189,29 +1606,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // Toggle function for accordion behavior (used by click and keyboard)
             const toggleServiceItem = () => {
-                const isExpanded = item.classList.contains('is-expanded');
-
-                // Close currently expanded item (accordion behavior)
-                if (currentlyExpanded && currentlyExpanded !== item) {
-                    currentlyExpanded.classList.remove('is-expanded');
-                    currentlyExpanded.classList.remove('is-hovered');
-                    currentlyExpanded.setAttribute('aria-expanded', 'false');
-                    currentlyExpanded._expandTl.reverse();
-                }
-
-                // Toggle clicked item
-                if (isExpanded) {
-                    item.classList.remove('is-expanded');
-                    item.classList.remove('is-hovered');
-                    item.setAttribute('aria-expanded', 'false');
-                    expandTl.reverse();
-                    currentlyExpanded = null;
+                if (item.classList.contains('is-expanded')) {
+                    collapseServiceItem(item);
                 } else {
-                    item.classList.add('is-expanded');
-                    item.classList.add('is-hovered');
-                    item.setAttribute('aria-expanded', 'true');
-                    expandTl.play();
-                    currentlyExpanded = item;
+                    expandServiceItem(item);
                 }
             };
 
@@ -1247,6 +1645,41 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             });
         });
+
+        // Deep links: data-service menu items and #services/<id> URLs open a specific card
+        const openService = (id) => {
+            // Compare ids rather than build a selector: URL ids are untrusted
+            const item = [...servicesSection.querySelectorAll('.service-item[data-service]')]
+                .find(el => el.dataset.service === id);
+            if (!item) return false;
+
+            servicesSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            if (!item.classList.contains('is-expanded')) {
+                expandServiceItem(item);
+            }
+            return true;
+        };
+
+        document.querySelectorAll('.dropdown-item[data-service], .mobile-dropdown-item[data-service]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                const id = link.getAttribute('data-service');
+                if (!openService(id)) return;
+                e.preventDefault();
+
+                // Close mega dropdown if open
+                const activeDropdown = link.closest('.nav-item.has-dropdown.active');
+                if (activeDropdown) {
+                    activeDropdown.classList.remove('active');
+                    activeDropdown.querySelector('.nav-link')?.setAttribute('aria-expanded', 'false');
+                }
+
+                // Keep the address shareable without triggering a jump
+                pushRoute(`services/${id}`);
+            });
+        });
+
+        // Shared links such as /#services/mvp-build (and back/forward) open the card via the router
+        sectionRoutes.set('services', openService);
     }
 
     /* ========================================
@@ -1627,6 +2060,65 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
+    /* ========================================
+       SCROLL-SPY NAVIGATION
+    ======================================== */
+
+    // Mark the nav links for whichever section (and service) crosses the middle of the viewport
+    const setCurrentLinks = (links, isCurrent) => {
+        links.forEach(link => {
+            link.classList.toggle('is-current', isCurrent);
+            if (isCurrent) {
+                link.setAttribute('aria-current', 'true');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    };
+
+    const spyOn = (targets, linksFor) => {
+        let current = null;
+
+        targets.forEach(target => {
+            ScrollTrigger.create({
+                trigger: target,
+                start: "top center",
+                end: "bottom center",
+                onToggle: (self) => {
+                    if (self.isActive) {
+                        if (current && current !== target) setCurrentLinks(linksFor(current), false);
+                        current = target;
+                        setCurrentLinks(linksFor(target), true);
+                    } else if (current === target) {
+                        setCurrentLinks(linksFor(target), false);
+                        current = null;
+                    }
+                }
+            });
+        });
+    };
+
+    // Sections named by the nav; the mobile Services toggle stands in for its section
+    const spiedSections = [...new Set(
+        Array.from(document.querySelectorAll('.nav-link[data-section], .mobile-nav-link[data-section]'))
+            .map(link => link.getAttribute('data-section'))
+    )].map(id => document.getElementById(id)).filter(Boolean);
+
+    spyOn(spiedSections, (section) => document.querySelectorAll(
+        `.nav-link[data-section="${section.id}"], .mobile-nav-link[data-section="${section.id}"], ` +
+        `.mobile-dropdown-toggle[aria-controls="mobile-${section.id}-dropdown"]`
+    ));
+
+    // Services sub-items follow the individual service cards
+    spyOn(document.querySelectorAll('.service-item[data-service]'), (item) => {
+        const id = item.getAttribute('data-service');
+        return [...document.querySelectorAll('.dropdown-item[data-service], .mobile-dropdown-item[data-service]')]
+            .filter(link => link.dataset.service === id);
+    });
+
+    // Route the initial URL once every section has registered its handlers
+    startRouter();
+
     /* ========================================
        CONSOLE LOG - INITIALIZATION COMPLETE
     ======================================== */
@@ -1638,33 +2130,25 @@ document.addEventListener('DOMContentLoaded', () => {
 // PRISM SCENE BACKGROUND - 2D Canvas Light Refraction Animation
 // Converted from React/TypeScript to Vanilla JavaScript
 // Features: Icosahedron with light refraction, spectral rainbow beams, particles
+//
+// Usage:
+//   var scene = new PrismScene(canvasEl, { quality: 'MEDIUM' });
+//   scene.start();
+//   scene.setQuality('LOW');
+//   scene.setSpectrum([{ name: 'cyan', color: '#17f7f7', opacity: 0.9, n: 1.6 }]);
+//   scene.stop();
+//   scene.destroy();
 // ================================================================================
 
-(function initPrismScene() {
+var PrismScene = (function definePrismScene(scope) {
     'use strict';
 
-    // --- Feature Detection & Early Exit ---
-    var canvas = document.getElementById('prism-canvas');
-    if (!canvas) {
-        console.warn('PrismScene: Canvas element #prism-canvas not found');
-        return;
-    }
-
-    var ctx = canvas.getContext('2d');
-    if (!ctx) {
-        console.warn('PrismScene: 2D context not supported, falling back to static gradient');
-        showFallbackBackground(canvas.parentElement);
-        return;
-    }
-
-    var container = canvas.parentElement;
-
     // --- Configuration Constants ---
     var OBJECT_SCALE = 108; // Reduced by 20% from 135
     var N_AIR = 1.0;
 
     // Spectrum colors for light refraction - wider n spread for more angular separation
-    var SPECTRUM = [
+    var DEFAULT_SPECTRUM = [
         { name: 'red',    color: '#ff2a6d', opacity: 0.8, n: 1.30 },
         { name: 'orange', color: '#ff9f0a', opacity: 0.8, n: 1.45 },
         { name: 'yellow', color: '#ffd60a', opacity: 0.8, n: 1.60 },
@@ -1676,10 +2160,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Quality Tier System ---
     var QualityTier = {
-        HIGH:    { maxBounces: 2, starCount: 250, dustCount: 100, subdivisions: 2, smokeEnabled: true },  // Reduced bounces for softer effect
-        MEDIUM:  { maxBounces: 2, starCount: 100, dustCount: 50,  subdivisions: 1, smokeEnabled: true },
-        LOW:     { maxBounces: 1, starCount: 50,  dustCount: 25,  subdivisions: 1, smokeEnabled: false },
-        MINIMAL: { maxBounces: 1, starCount: 25,  dustCount: 0,   subdivisions: 0, smokeEnabled: false }
+        HIGH:    { maxBounces: 2, starCount: 250, dustCount: 100, subdivisions: 2, smokeEnabled: true,  faceRefraction: true },  // Reduced bounces for softer effect
+        MEDIUM:  { maxBounces: 2, starCount: 100, dustCount: 50,  subdivisions: 1, smokeEnabled: true,  faceRefraction: true },
+        LOW:     { maxBounces: 1, starCount: 50,  dustCount: 25,  subdivisions: 1, smokeEnabled: false, faceRefraction: false },
+        MINIMAL: { maxBounces: 1, starCount: 25,  dustCount: 0,   subdivisions: 0, smokeEnabled: false, faceRefraction: false }
     };
 
     // --- Device/Performance Detection ---
@@ -1695,63 +2179,134 @@ document.addEventListener('DOMContentLoaded', () => {
         return 'HIGH';
     }
 
-    var currentTierName = detectQualityTier();
-    var currentQuality = QualityTier[currentTierName];
+    // --- Adaptive Quality Controller ---
+    // Watches frame times and moves one tier at a time. Step-downs react within a
+    // second or two; step-ups need sustained headroom and wait out a cooldown that
+    // doubles each time the tier above has already failed, so the scene does not
+    // oscillate between two tiers.
+    var TIER_ORDER = ['MINIMAL', 'LOW', 'MEDIUM', 'HIGH'];
+
+    var QUALITY_CONTROL = {
+        windowSize: 120,          // Frames kept for percentiles
+        minSamples: 30,           // Frames needed before judging
+        evaluateEvery: 1000,      // ms between decisions
+        maxFrameTime: 250,        // ms; longer gaps are stalls or tab switches, not load
+        downgradeMedian: 40,      // ms (< 25fps typical)
+        downgradeP95: 66,         // ms (< 15fps spikes)
+        upgradeP95: 20,           // ms (> 50fps even at the slow end)
+        upgradeStreak: 5,         // Consecutive healthy evaluations before stepping up
+        upgradeCooldown: 10000,   // ms after a step-down before the failed tier is retried
+        maxCooldown: 120000
+    };
 
-    // --- State Variables ---
-    var animationFrameId = null;
-    var isPageVisible = true;
-    var mouseX = 0;
-    var mouseY = 0;
-    var smoothMouseX = 0;
-    var smoothMouseY = 0;
+    function percentile(sorted, p) {
+        if (sorted.length === 0) return 0;
+        var idx = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+        return sorted[idx];
+    }
 
-    // Spring physics state for natural mouse following (from MlBrandKit reference)
-    var springX = { pos: 0, vel: 0 };
-    var springY = { pos: 0, vel: 0 };
+    function QualityController(tierName, ceiling) {
+        this.tier = tierName;
+        this.maxQuality = ceiling || tierName;  // configured limit, restored when adaptive mode resumes
+        this.ceiling = this.maxQuality;
+        this.adaptive = true;
+        this.samples = [];
+        this.lastEvaluation = 0;
+        this.headroomStreak = 0;
+        this.failures = {};
+        this.retryAfter = {};
+    }
 
-    // Spring constants (Hooke's Law: F = -kx - bv)
-    var SPRING_MASS = 2.0;
-    var SPRING_STIFFNESS = 80;
-    var SPRING_DAMPING = 18;
-    var SPRING_DT = 0.016; // 60fps timestep
+    // Drop samples after a pause or tier change; they no longer describe the current load
+    QualityController.prototype.reset = function(now) {
+        this.samples = [];
+        this.headroomStreak = 0;
+        this.lastEvaluation = now;
+    };
+
+    QualityController.prototype.stats = function() {
+        var sorted = this.samples.slice().sort(function(a, b) { return a - b; });
+        return { p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95) };
+    };
+
+    // Feed one frame time; returns { tier, previous, reason, p50, p95 } when the tier should change
+    QualityController.prototype.record = function(frameTime, now) {
+        if (!this.adaptive || frameTime <= 0 || frameTime > QUALITY_CONTROL.maxFrameTime) return null;
+
+        this.samples.push(frameTime);
+        if (this.samples.length > QUALITY_CONTROL.windowSize) this.samples.shift();
 
-    var rotationX = 0;
-    var rotationY = 0;
-    var rotationZ = 0;
-    var globalAlpha = 0;
-    var time = 0;
-    var stars = [];
-    var dust = [];
-    var noisePattern = null;
-    var dpr = 1;
-    var width = 0;
-    var height = 0;
+        if (now - this.lastEvaluation < QUALITY_CONTROL.evaluateEvery) return null;
+        if (this.samples.length < QUALITY_CONTROL.minSamples) return null;
+        this.lastEvaluation = now;
 
-    // FPS Monitoring
-    var fpsMonitor = {
-        frameCount: 0,
-        lastCheck: performance.now(),
-        currentFPS: 60,
-        downgraded: false
+        var stats = this.stats();
+        var index = TIER_ORDER.indexOf(this.tier);
+
+        if (stats.p50 > QUALITY_CONTROL.downgradeMedian || stats.p95 > QUALITY_CONTROL.downgradeP95) {
+            this.headroomStreak = 0;
+            if (index <= 0) return null;
+
+            var failed = this.tier;
+            this.failures[failed] = (this.failures[failed] || 0) + 1;
+            this.retryAfter[failed] = now + Math.min(
+                QUALITY_CONTROL.maxCooldown,
+                QUALITY_CONTROL.upgradeCooldown * Math.pow(2, this.failures[failed] - 1)
+            );
+            return this.change(TIER_ORDER[index - 1], 'performance', stats, now);
+        }
+
+        if (stats.p95 < QUALITY_CONTROL.upgradeP95) {
+            this.headroomStreak++;
+            var next = TIER_ORDER[index + 1];
+            if (next &&
+                index < TIER_ORDER.indexOf(this.ceiling) &&
+                this.headroomStreak >= QUALITY_CONTROL.upgradeStreak &&
+                now >= (this.retryAfter[next] || 0)) {
+                return this.change(next, 'headroom', stats, now);
+            }
+        } else {
+            this.headroomStreak = 0;
+        }
+        return null;
     };
 
-    // Touch state
-    var touchState = {
-        active: false,
-        identifier: null
+    QualityController.prototype.change = function(tierName, reason, stats, now) {
+        var previous = this.tier;
+        this.tier = tierName;
+        this.reset(now);
+        return { tier: tierName, previous: previous, reason: reason, p50: stats.p50, p95: stats.p95 };
     };
 
-    // Geometry
-    var VERTS = [];
-    var FACES = [];
+    // An explicit tier pins the scene there until adaptive mode is switched back on
+    QualityController.prototype.pin = function(tierName) {
+        this.tier = tierName;
+        this.ceiling = tierName;
+        this.adaptive = false;
+    };
 
-    // --- Math Helpers ---
-    function vec2(x, y) { return { x: x, y: y }; }
-    function vec3(x, y, z) { return { x: x, y: y, z: z }; }
+    QualityController.prototype.setAdaptive = function(enabled, now) {
+        this.adaptive = enabled;
+        if (enabled) {
+            this.ceiling = this.maxQuality;
+            this.failures = {};
+            this.retryAfter = {};
+            this.reset(now);
+        }
+    };
 
-    function add(v1, v2) { return { x: v1.x + v2.x, y: v1.y + v2.y }; }
-    function sub(v1, v2) { return { x: v1.x - v2.x, y: v1.y - v2.y }; }
+    // Spring constants (Hooke's Law: F = -kx - bv)
+    var SPRING_MASS = 2.0;
+    var SPRING_STIFFNESS = 80;
+    var SPRING_DAMPING = 18;
+    var SPRING_DT = 0.016; // 60fps timestep
+
+    // --- Math Helpers ---
+    function vec2(x, y) { return { x: x, y: y }; }
+    function vec3(x, y, z) { return { x: x, y: y, z: z }; }
+
+    function add(v1, v2) { return { x: v1.x + v2.x, y: v1.y + v2.y }; }
+    function sub(v1, v2) { return { x: v1.x - v2.x, y: v1.y - v2.y }; }
     function mul(v, s) { return { x: v.x * s, y: v.y * s }; }
     function dot(v1, v2) { return v1.x * v2.x + v1.y * v2.y; }
     function len(v) { return Math.sqrt(v.x * v.x + v.y * v.y); }
@@ -1766,14 +2321,18 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Spring physics for natural, weighty mouse following
     // Uses Hooke's Law: F = -kx - bv (spring force minus damping)
-    function updateSpring(spring, target) {
-        var displacement = spring.pos - target;
-        var springForce = -SPRING_STIFFNESS * displacement;
-        var dampingForce = -SPRING_DAMPING * spring.vel;
-        var totalForce = springForce + dampingForce;
-        var acceleration = totalForce / SPRING_MASS;
-        spring.vel += acceleration * SPRING_DT;
-        spring.pos += spring.vel * SPRING_DT;
+    // Integrates in fixed SPRING_DT steps covering dt seconds (one step if omitted)
+    function updateSpring(spring, target, dt) {
+        var steps = dt === undefined ? 1 : Math.max(1, Math.min(6, Math.round(dt / SPRING_DT)));
+        for (var i = 0; i < steps; i++) {
+            var displacement = spring.pos - target;
+            var springForce = -SPRING_STIFFNESS * displacement;
+            var dampingForce = -SPRING_DAMPING * spring.vel;
+            var totalForce = springForce + dampingForce;
+            var acceleration = totalForce / SPRING_MASS;
+            spring.vel += acceleration * SPRING_DT;
+            spring.pos += spring.vel * SPRING_DT;
+        }
         return spring.pos;
     }
 
@@ -1938,6 +2497,77 @@ document.addEventListener('DOMContentLoaded', () => {
         return norm(add(mul(dir, eta), mul(N, eta * cosI - cosT)));
     }
 
+    // --- 3D Refraction Helpers ---
+    var INTERNAL_SPLIT_RATIO = 0.35; // Share of light reflected back inside at an exit facet
+
+    function add3(v1, v2) { return { x: v1.x + v2.x, y: v1.y + v2.y, z: v1.z + v2.z }; }
+    function mul3(v, s) { return { x: v.x * s, y: v.y * s, z: v.z * s }; }
+    function reflect3(dir, normal) {
+        return sub3(dir, mul3(normal, 2 * dot3(dir, normal)));
+    }
+
+    function refract3D(dir, normal, n1, n2) {
+        var N = normal;
+        var cosI = -dot3(dir, N);
+        if (cosI < 0) { N = mul3(N, -1); cosI = -dot3(dir, N); }
+        var eta = n1 / n2;
+        var sinT2 = eta * eta * (1.0 - cosI * cosI);
+        if (sinT2 > 1.0) return null;
+        var cosT = Math.sqrt(1.0 - sinT2);
+        return norm3(add3(mul3(dir, eta), mul3(N, eta * cosI - cosT)));
+    }
+
+    // Project rotated unit-space vertices into screen space and precompute outward face normals
+    function buildRefractionMesh(transformed, faces, center, scale) {
+        var points = transformed.map(function(v) {
+            return vec3(center.x + v.x * scale, center.y + v.y * scale, v.z * scale);
+        });
+        var origin = vec3(center.x, center.y, 0);
+        var normals = faces.map(function(face) {
+            var a = points[face[0]], b = points[face[1]], c = points[face[2]];
+            var n = norm3(cross3(sub3(b, a), sub3(c, a)));
+            var centroid = vec3((a.x + b.x + c.x) / 3, (a.y + b.y + c.y) / 3, (a.z + b.z + c.z) / 3);
+            // Orient outward regardless of the source mesh's winding
+            return dot3(n, sub3(centroid, origin)) < 0 ? mul3(n, -1) : n;
+        });
+        return { points: points, faces: faces, normals: normals };
+    }
+
+    // Möller-Trumbore ray/triangle test; returns the distance along dir or null
+    function intersectRayTriangle(origin, dir, a, b, c) {
+        var e1 = sub3(b, a);
+        var e2 = sub3(c, a);
+        var p = cross3(dir, e2);
+        var det = dot3(e1, p);
+        if (Math.abs(det) < 0.00001) return null;
+        var invDet = 1 / det;
+        var s = sub3(origin, a);
+        var u = dot3(s, p) * invDet;
+        if (u < 0 || u > 1) return null;
+        var q = cross3(s, e1);
+        var v = dot3(dir, q) * invDet;
+        if (v < 0 || u + v > 1) return null;
+        var t = dot3(e2, q) * invDet;
+        return t > 0.001 ? t : null;
+    }
+
+    function intersectRayMesh(origin, dir, mesh, ignoreIndex) {
+        var minT = Infinity;
+        var index = -1;
+
+        for (var i = 0; i < mesh.faces.length; i++) {
+            if (i === ignoreIndex) continue;
+            var face = mesh.faces[i];
+            var t = intersectRayTriangle(origin, dir, mesh.points[face[0]], mesh.points[face[1]], mesh.points[face[2]]);
+            if (t !== null && t < minT) {
+                minT = t;
+                index = i;
+            }
+        }
+        if (index === -1) return null;
+        return { t: minT, point: add3(origin, mul3(dir, minT)), normal: mesh.normals[index], index: index };
+    }
+
     // --- Geometry Generation ---
     var t_val = (1.0 + Math.sqrt(5.0)) / 2.0;
     var BASE_VERTS = [
@@ -1957,61 +2587,138 @@ document.addEventListener('DOMContentLoaded', () => {
         return x - Math.floor(x);
     }
 
-    function generateGeometry(subdivisionLevel) {
-        VERTS = [];
-        FACES = [];
+    // --- Geometry Sources ---
+    // Custom meshes are plain { vertices, faces } objects: vertices as [x, y, z]
+    // arrays or { x, y, z } objects, faces as index lists (polygons are fanned
+    // into triangles). OBJ text is parsed into the same shape.
+    function parseOBJ(text) {
+        var vertices = [];
+        var faces = [];
+        var lines = String(text).split(/\r?\n/);
+
+        for (var i = 0; i < lines.length; i++) {
+            var parts = lines[i].trim().split(/\s+/);
+            if (parts[0] === 'v') {
+                vertices.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+            } else if (parts[0] === 'f') {
+                var face = [];
+                for (var p = 1; p < parts.length; p++) {
+                    // "f 1/2/3" - only the position index matters; negative indices are relative
+                    var idx = parseInt(parts[p].split('/')[0], 10);
+                    face.push(idx < 0 ? vertices.length + idx : idx - 1);
+                }
+                faces.push(face);
+            }
+        }
+
+        return { vertices: vertices, faces: faces };
+    }
 
-        // Normalize base vertices
-        for (var i = 0; i < BASE_VERTS.length; i++) {
-            var v = BASE_VERTS[i];
-            var l = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
-            VERTS.push({ x: v.x / l, y: v.y / l, z: v.z / l });
+    // Validate, triangulate and rescale a mesh so it fits the unit sphere like the built-in icosahedron
+    function normalizeMesh(source) {
+        var mesh = typeof source === 'string' ? parseOBJ(source) : source;
+        if (!mesh || !Array.isArray(mesh.vertices) || !Array.isArray(mesh.faces)) {
+            throw new Error('PrismScene: Geometry needs "vertices" and "faces" arrays');
         }
 
-        for (var j = 0; j < BASE_FACES.length; j++) {
-            FACES.push(BASE_FACES[j].slice());
+        var verts = mesh.vertices.map(function(v) {
+            var p = Array.isArray(v) ? vec3(v[0], v[1], v[2]) : vec3(v.x, v.y, v.z);
+            if (!isFinite(p.x) || !isFinite(p.y) || !isFinite(p.z)) {
+                throw new Error('PrismScene: Geometry contains a non-numeric vertex');
+            }
+            return p;
+        });
+
+        var faces = [];
+        mesh.faces.forEach(function(face) {
+            for (var k = 0; k < face.length; k++) {
+                if (!(face[k] >= 0 && face[k] < verts.length)) {
+                    throw new Error('PrismScene: Face index ' + face[k] + ' is out of range');
+                }
+            }
+            for (var t = 1; t < face.length - 1; t++) {
+                faces.push([face[0], face[t], face[t + 1]]);
+            }
+        });
+
+        if (verts.length < 4 || faces.length === 0) {
+            throw new Error('PrismScene: Geometry needs at least 4 vertices and 1 face');
         }
 
-        // Subdivide
-        function subdivide(currentVerts, currentFaces) {
-            var newVerts = currentVerts.slice();
-            var newFaces = [];
-            var midPointCache = {};
-
-            function getMidPointIndex(i1, i2) {
-                var key = i1 < i2 ? i1 + '-' + i2 : i2 + '-' + i1;
-                if (midPointCache[key] !== undefined) return midPointCache[key];
-                var v1 = newVerts[i1];
-                var v2 = newVerts[i2];
-                var mid = { x: (v1.x + v2.x) / 2, y: (v1.y + v2.y) / 2, z: (v1.z + v2.z) / 2 };
-                var l = Math.sqrt(mid.x * mid.x + mid.y * mid.y + mid.z * mid.z);
-                var idx = newVerts.length;
-                newVerts.push({ x: mid.x / l, y: mid.y / l, z: mid.z / l });
-                midPointCache[key] = idx;
-                return idx;
-            }
-
-            for (var f = 0; f < currentFaces.length; f++) {
-                var face = currentFaces[f];
-                var i0 = face[0], i1 = face[1], i2 = face[2];
-                var a = getMidPointIndex(i0, i1);
-                var b = getMidPointIndex(i1, i2);
-                var c = getMidPointIndex(i2, i0);
-                newFaces.push([i0, a, c], [i1, b, a], [i2, c, b], [a, b, c]);
-            }
-            return { v: newVerts, f: newFaces };
-        }
-
-        var mesh = { v: VERTS, f: FACES };
-        for (var s = 0; s < subdivisionLevel; s++) {
-            mesh = subdivide(mesh.v, mesh.f);
+        // Center on the bounding box and scale the furthest vertex to radius 1
+        var min = vec3(Infinity, Infinity, Infinity);
+        var max = vec3(-Infinity, -Infinity, -Infinity);
+        verts.forEach(function(v) {
+            min.x = Math.min(min.x, v.x); max.x = Math.max(max.x, v.x);
+            min.y = Math.min(min.y, v.y); max.y = Math.max(max.y, v.y);
+            min.z = Math.min(min.z, v.z); max.z = Math.max(max.z, v.z);
+        });
+        var mid = vec3((min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2);
+        var radius = 0;
+        verts = verts.map(function(v) {
+            var c = sub3(v, mid);
+            radius = Math.max(radius, Math.sqrt(dot3(c, c)));
+            return c;
+        });
+        if (radius === 0) throw new Error('PrismScene: Geometry has no extent');
+
+        return {
+            verts: verts.map(function(v) { return vec3(v.x / radius, v.y / radius, v.z / radius); }),
+            faces: faces
+        };
+    }
+
+    // Fetch a mesh from a .obj or .json URL
+    function loadGeometry(url) {
+        return fetch(url).then(function(response) {
+            if (!response.ok) throw new Error('PrismScene: Failed to load geometry from ' + url);
+            return /\.obj(\?|#|$)/i.test(url) ? response.text() : response.json();
+        }).then(function(data) {
+            return typeof data === 'string' ? parseOBJ(data) : data;
+        });
+    }
+
+    // Loop subdivision with midpoints pushed back onto the unit sphere
+    function subdivide(currentVerts, currentFaces) {
+        var newVerts = currentVerts.slice();
+        var newFaces = [];
+        var midPointCache = {};
+
+        function getMidPointIndex(i1, i2) {
+            var key = i1 < i2 ? i1 + '-' + i2 : i2 + '-' + i1;
+            if (midPointCache[key] !== undefined) return midPointCache[key];
+            var v1 = newVerts[i1];
+            var v2 = newVerts[i2];
+            var mid = { x: (v1.x + v2.x) / 2, y: (v1.y + v2.y) / 2, z: (v1.z + v2.z) / 2 };
+            var l = Math.sqrt(mid.x * mid.x + mid.y * mid.y + mid.z * mid.z);
+            var idx = newVerts.length;
+            newVerts.push({ x: mid.x / l, y: mid.y / l, z: mid.z / l });
+            midPointCache[key] = idx;
+            return idx;
+        }
+
+        for (var f = 0; f < currentFaces.length; f++) {
+            var face = currentFaces[f];
+            var i0 = face[0], i1 = face[1], i2 = face[2];
+            var a = getMidPointIndex(i0, i1);
+            var b = getMidPointIndex(i1, i2);
+            var c = getMidPointIndex(i2, i0);
+            newFaces.push([i0, a, c], [i1, b, a], [i2, c, b], [a, b, c]);
         }
-        VERTS = mesh.v;
-        FACES = mesh.f;
+        return { v: newVerts, f: newFaces };
+    }
 
-        // Add procedural displacement
-        VERTS = VERTS.map(function(v, idx) {
-            var seed = idx * 999.9;
+    // Procedural displacement: { seed, strength } or false to keep the mesh as-is
+    var DEFAULT_DISPLACEMENT = { seed: 0, strength: 1 };
+
+    function displaceVerts(verts, displacement) {
+        if (displacement === false) return verts;
+        displacement = displacement || DEFAULT_DISPLACEMENT;
+        var seedOffset = displacement.seed || 0;
+        var strength = displacement.strength !== undefined ? displacement.strength : 1;
+
+        return verts.map(function(v, idx) {
+            var seed = (idx + seedOffset) * 999.9;
             var n1 = seededRandom(seed);
             var n2 = seededRandom(seed * 7.13);
             var n3 = seededRandom(seed * 1.41);
@@ -2021,10 +2728,41 @@ document.addEventListener('DOMContentLoaded', () => {
             else if (n1 > 0.75) scale += 0.1 + (n2 * 0.05);
             scale += (n3 - 0.5) * 0.06;
             scale += (n4 - 0.5) * 0.12;
+            scale = 1 + (scale - 1) * strength;
             return { x: v.x * scale, y: v.y * scale, z: v.z * scale };
         });
     }
 
+    // Built-in icosahedron is subdivided per quality tier; custom meshes are used as authored
+    function generateGeometry(subdivisionLevel, source, displacement) {
+        var verts = [];
+        var faces = [];
+
+        if (source) {
+            var custom = normalizeMesh(source);
+            return { verts: displaceVerts(custom.verts, displacement), faces: custom.faces };
+        }
+
+        // Normalize base vertices
+        for (var i = 0; i < BASE_VERTS.length; i++) {
+            var v = BASE_VERTS[i];
+            var l = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+            verts.push({ x: v.x / l, y: v.y / l, z: v.z / l });
+        }
+
+        for (var j = 0; j < BASE_FACES.length; j++) {
+            faces.push(BASE_FACES[j].slice());
+        }
+
+        // Subdivide
+        var mesh = { v: verts, f: faces };
+        for (var s = 0; s < subdivisionLevel; s++) {
+            mesh = subdivide(mesh.v, mesh.f);
+        }
+
+        return { verts: displaceVerts(mesh.v, displacement), faces: mesh.f };
+    }
+
     // --- Particle System ---
     function Particle(w, h, isDust) {
         this.isDust = isDust;
@@ -2039,11 +2777,13 @@ document.addEventListener('DOMContentLoaded', () => {
         this.drift = { x: (Math.random() - 0.5) * 0.2, y: (Math.random() - 0.5) * 0.2 };
     }
 
-    Particle.prototype.update = function(parallaxX, parallaxY) {
-        this.phase += this.blinkSpeed;
+    // frames: elapsed time in 60fps frames (defaults to one)
+    Particle.prototype.update = function(parallaxX, parallaxY, frames) {
+        if (frames === undefined) frames = 1;
+        this.phase += this.blinkSpeed * frames;
         if (this.isDust) {
-            this.x += this.drift.x;
-            this.y += this.drift.y;
+            this.x += this.drift.x * frames;
+            this.y += this.drift.y * frames;
         } else {
             var depthFactor = 0.05 + (1000 / (1000 + this.z)) * 0.1;
             this.x = this.origX - parallaxX * depthFactor;
@@ -2051,12 +2791,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    Particle.prototype.draw = function(ctx, w, h, beams) {
+    // Screen position, radius and alpha for this frame, or null when off-canvas
+    Particle.prototype.project = function(w, h, beams) {
         var scale = 1000 / (1000 + this.z);
         var sx = w / 2 + this.x * scale;
         var sy = h / 2 + this.y * scale;
 
-        if (sx < -50 || sx > w + 50 || sy < -50 || sy > h + 50) return;
+        if (sx < -50 || sx > w + 50 || sy < -50 || sy > h + 50) return null;
 
         var alpha = 0.35 + Math.sin(this.phase) * 0.45;  // Brighter stars (range 0-0.8)
 
@@ -2070,17 +2811,30 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
+        return { x: sx, y: sy, radius: this.size * scale, alpha: Math.min(1, alpha) };
+    };
+
+    Particle.prototype.draw = function(ctx, w, h, beams) {
+        var p = this.project(w, h, beams);
+        if (!p) return;
+
         ctx.beginPath();
-        ctx.arc(sx, sy, this.size * scale, 0, Math.PI * 2);
-        ctx.fillStyle = 'rgba(255, 255, 255, ' + Math.min(1, alpha) + ')';
+        ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(255, 255, 255, ' + p.alpha + ')';
         ctx.fill();
     };
 
     // --- Noise Texture for Volumetric Effects ---
+    // Works on the main thread and inside the render worker
+    function createScratchCanvas(w, h) {
+        var cvs = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(w, h);
+        cvs.width = w;
+        cvs.height = h;
+        return cvs;
+    }
+
     function createNoiseTexture() {
-        var cvs = document.createElement('canvas');
-        cvs.width = 256;
-        cvs.height = 256;
+        var cvs = createScratchCanvas(256, 256);
         var cx = cvs.getContext('2d');
         if (!cx) return null;
 
@@ -2107,125 +2861,6 @@ document.addEventListener('DOMContentLoaded', () => {
         containerEl.style.background = 'radial-gradient(ellipse at center, #0a0a0a 0%, #050505 50%, #000000 100%)';
     }
 
-    // --- Initialize Particles ---
-    function initializeParticles(w, h) {
-        stars = [];
-        dust = [];
-        for (var i = 0; i < currentQuality.starCount; i++) {
-            stars.push(new Particle(w, h, false));
-        }
-        for (var j = 0; j < currentQuality.dustCount; j++) {
-            dust.push(new Particle(w, h, true));
-        }
-    }
-
-    // --- Resize Handler ---
-    var resizeTimeout = null;
-    function handleResize() {
-        if (resizeTimeout) clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(function() {
-            var containerRect = container.getBoundingClientRect();
-            width = Math.max(320, Math.min(3840, containerRect.width));
-            height = Math.max(480, Math.min(2160, containerRect.height));
-            dpr = Math.min(window.devicePixelRatio || 1, 2);
-
-            canvas.width = width * dpr;
-            canvas.height = height * dpr;
-            canvas.style.width = width + 'px';
-            canvas.style.height = height + 'px';
-
-            initializeParticles(width, height);
-            mouseX = width / 2;
-            mouseY = height / 2;
-            smoothMouseX = mouseX;
-            smoothMouseY = mouseY;
-            // Initialize spring positions
-            springX.pos = mouseX;
-            springY.pos = mouseY;
-            springX.vel = 0;
-            springY.vel = 0;
-        }, 150);
-    }
-
-    // --- Mouse Handler ---
-    function handleMouseMove(e) {
-        var rect = canvas.getBoundingClientRect();
-        var padding = 20;
-        var x = e.clientX - rect.left;
-        var y = e.clientY - rect.top;
-        mouseX = Math.max(padding, Math.min(rect.width - padding, x));
-        mouseY = Math.max(padding, Math.min(rect.height - padding, y));
-    }
-
-    // --- Touch Handlers ---
-    function handleTouchStart(e) {
-        if (touchState.active) return;
-        var touch = e.touches[0];
-        var rect = canvas.getBoundingClientRect();
-
-        touchState.active = true;
-        touchState.identifier = touch.identifier;
-        mouseX = touch.clientX - rect.left;
-        mouseY = touch.clientY - rect.top;
-    }
-
-    function handleTouchMove(e) {
-        if (!touchState.active) return;
-
-        for (var i = 0; i < e.changedTouches.length; i++) {
-            if (e.changedTouches[i].identifier === touchState.identifier) {
-                var touch = e.changedTouches[i];
-                var rect = canvas.getBoundingClientRect();
-                var padding = 20;
-
-                mouseX = touch.clientX - rect.left;
-                mouseY = touch.clientY - rect.top;
-                mouseX = Math.max(padding, Math.min(rect.width - padding, mouseX));
-                mouseY = Math.max(padding, Math.min(rect.height - padding, mouseY));
-
-                e.preventDefault();
-                break;
-            }
-        }
-    }
-
-    function handleTouchEnd(e) {
-        for (var i = 0; i < e.changedTouches.length; i++) {
-            if (e.changedTouches[i].identifier === touchState.identifier) {
-                touchState.active = false;
-                touchState.identifier = null;
-                break;
-            }
-        }
-    }
-
-    // --- Visibility Handler ---
-    function handleVisibilityChange() {
-        isPageVisible = !document.hidden;
-        if (isPageVisible && !animationFrameId) {
-            fpsMonitor.lastCheck = performance.now();
-            animationFrameId = requestAnimationFrame(render);
-        } else if (!isPageVisible && animationFrameId) {
-            cancelAnimationFrame(animationFrameId);
-            animationFrameId = null;
-        }
-    }
-
-    // --- Quality Downgrade ---
-    function downgradeQuality() {
-        if (currentTierName === 'HIGH') {
-            currentTierName = 'MEDIUM';
-        } else if (currentTierName === 'MEDIUM') {
-            currentTierName = 'LOW';
-        } else if (currentTierName === 'LOW') {
-            currentTierName = 'MINIMAL';
-        }
-        currentQuality = QualityTier[currentTierName];
-        generateGeometry(currentQuality.subdivisions);
-        initializeParticles(width, height);
-        console.log('%c⚡ PrismScene: Quality downgraded to ' + currentTierName, 'color: #ff9f0a; font-size: 12px;');
-    }
-
     // --- Helper Functions for Drawing ---
     function hexToRgbaStr(hex, alpha) {
         var r = 0, g = 0, b = 0;
@@ -2288,7 +2923,7 @@ document.addEventListener('DOMContentLoaded', () => {
         ctx.restore();
     }
 
-    function drawFlare(ctx, pos, color, scale, isExit) {
+    function drawFlare(ctx, pos, color, scale, isExit, dpr) {
         var rad = (isExit ? 40 : 15) * scale * dpr;  // Smaller flares
         var g = ctx.createRadialGradient(pos.x, pos.y, 0, pos.x, pos.y, rad);
         // Softer gradient - no harsh white center
@@ -2337,103 +2972,35 @@ document.addEventListener('DOMContentLoaded', () => {
         ctx.restore();
     }
 
-    // --- Main Render Function ---
-    function render() {
-        if (!isPageVisible) return;
-
-        var canvasWidth = canvas.width;
-        var canvasHeight = canvas.height;
-
-        // FPS Monitoring
-        fpsMonitor.frameCount++;
-        var now = performance.now();
-        var elapsed = now - fpsMonitor.lastCheck;
-        if (elapsed >= 1000) {
-            fpsMonitor.currentFPS = (fpsMonitor.frameCount * 1000) / elapsed;
-            fpsMonitor.frameCount = 0;
-            fpsMonitor.lastCheck = now;
-
-            if (fpsMonitor.currentFPS < 25 && !fpsMonitor.downgraded) {
-                downgradeQuality();
-                fpsMonitor.downgraded = true;
-            }
-        }
-
-        time += 0.005;
-
-        // Spring physics mouse interpolation (natural deceleration like MlBrandKit)
-        smoothMouseX = updateSpring(springX, mouseX);
-        smoothMouseY = updateSpring(springY, mouseY);
-
-        var mx = smoothMouseX * dpr;
-        var my = smoothMouseY * dpr;
-        var center = vec2(canvasWidth / 2, canvasHeight / 2);
+    // --- Canvas 2D Painter ---
+    // render() computes the scene and hands every draw call to a painter, so the
+    // 2D and WebGL backends share all ray tracing and geometry work.
+    function Canvas2DPainter(ctx) {
+        this.ctx = ctx;
+        this.backend = '2d';
+    }
 
-        // Update rotation
-        rotationX += 0.0005 + (smoothMouseY - height / 2) * 0.000001;
-        rotationY += 0.0010 + (smoothMouseX - width / 2) * 0.000001;
+    Canvas2DPainter.prototype.isLost = function() { return false; };
 
-        // 1. Draw Background
-        var bgGrad = ctx.createRadialGradient(canvasWidth / 2, canvasHeight / 2, 0, canvasWidth / 2, canvasHeight / 2, canvasWidth * 1.2);
+    Canvas2DPainter.prototype.background = function(w, h) {
+        var ctx = this.ctx;
+        var bgGrad = ctx.createRadialGradient(w / 2, h / 2, 0, w / 2, h / 2, w * 1.2);
         bgGrad.addColorStop(0, '#0a0a0a');
         bgGrad.addColorStop(0.4, '#050505');
         bgGrad.addColorStop(1, '#000000');
         ctx.fillStyle = bgGrad;
-        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-
-        // 2. Transform geometry
-        var scale = OBJECT_SCALE * dpr;
-        var transformed3D = VERTS.map(function(v) {
-            var rv = rotateX(v, rotationX);
-            rv = rotateY(rv, rotationY);
-            rv = rotateZ(rv, rotationZ);
-            return rv;
-        });
-
-        var projectedVerts = transformed3D.map(function(v) {
-            return vec2(center.x + v.x * scale, center.y + v.y * scale);
-        });
-
-        var mouseVec = sub(center, vec2(mx, my));
-        var rayDir = norm(mouseVec);
-        var lightDir = norm3({ x: -rayDir.x, y: -rayDir.y, z: 0.8 });
+        ctx.fillRect(0, 0, w, h);
+    };
 
-        // 3. Draw Stars
-        var parallaxX = smoothMouseX - width / 2;
-        var parallaxY = smoothMouseY - height / 2;
-        for (var si = 0; si < stars.length; si++) {
-            stars[si].update(parallaxX, parallaxY);
-            stars[si].draw(ctx, canvasWidth, canvasHeight, []);
+    Canvas2DPainter.prototype.particles = function(list, w, h, beams) {
+        for (var i = 0; i < list.length; i++) {
+            list[i].draw(this.ctx, w, h, beams);
         }
+    };
 
-        // 4. Draw Mesh (back faces first, then front)
-        var facesWithDepth = FACES.map(function(faceIndices) {
-            var z = 0;
-            for (var fi = 0; fi < faceIndices.length; fi++) {
-                z += transformed3D[faceIndices[fi]].z;
-            }
-            z /= faceIndices.length;
-
-            var v0 = transformed3D[faceIndices[0]];
-            var v1 = transformed3D[faceIndices[1]];
-            var v2 = transformed3D[faceIndices[2]];
-            var edge1 = sub3(v1, v0);
-            var edge2 = sub3(v2, v0);
-            var normal = norm3(cross3(edge1, edge2));
-            var viewDot = Math.abs(normal.z);
-            var fresnel = 1.0 - viewDot;
-            var intensity = Math.max(0, dot3(normal, lightDir));
-
-            var p0 = projectedVerts[faceIndices[0]];
-            var p1 = projectedVerts[faceIndices[1]];
-            var p2 = projectedVerts[faceIndices[2]];
-            var area = (p1.x - p0.x) * (p1.y + p0.y) +
-                       (p2.x - p1.x) * (p2.y + p1.y) +
-                       (p0.x - p2.x) * (p0.y + p2.y);
-
-            return { indices: faceIndices, z: z, isFront: area < 0, intensity: intensity, fresnel: fresnel };
-        }).sort(function(a, b) { return a.z - b.z; });
-
+    // facesWithDepth is sorted back to front
+    Canvas2DPainter.prototype.mesh = function(facesWithDepth, projectedVerts, dpr) {
+        var ctx = this.ctx;
         ctx.lineJoin = 'round';
         ctx.lineCap = 'round';
 
@@ -2447,7 +3014,7 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.lineTo(pts[1].x, pts[1].y);
             ctx.lineTo(pts[2].x, pts[2].y);
             ctx.closePath();
-            ctx.strokeStyle = 'rgba(23, 247, 247, 0.04)';
+            ctx.strokeStyle = 'rgba(23, 247, 247, ' + f.strokeOpacity + ')';
             ctx.lineWidth = 0.5 * dpr;
             ctx.stroke();
         }
@@ -2462,235 +3029,1711 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.lineTo(points[1].x, points[1].y);
             ctx.lineTo(points[2].x, points[2].y);
             ctx.closePath();
-
-            var baseFill = 0.02;
-            var specular = face.intensity * 0.25;
-            var fresnelGlow = face.fresnel * 0.15;
-            var fillOpacity = baseFill + specular + fresnelGlow;
-            ctx.fillStyle = 'rgba(23, 247, 247, ' + fillOpacity + ')';
+            ctx.fillStyle = 'rgba(23, 247, 247, ' + face.fillOpacity + ')';
             ctx.fill();
-
-            var strokeOpacity = 0.05 + face.fresnel * 0.3 + face.intensity * 0.2;
-            ctx.strokeStyle = 'rgba(23, 247, 247, ' + strokeOpacity + ')';
+            ctx.strokeStyle = 'rgba(23, 247, 247, ' + face.strokeOpacity + ')';
             ctx.lineWidth = 0.5 * dpr;
             ctx.stroke();
         }
+    };
 
-        // 5. Draw Convex Hull Outline
-        var hull = getConvexHull(projectedVerts);
-        if (hull.length > 0) {
-            ctx.beginPath();
-            ctx.moveTo(hull[0].x, hull[0].y);
-            for (var hi = 1; hi < hull.length; hi++) {
-                ctx.lineTo(hull[hi].x, hull[hi].y);
-            }
-            ctx.closePath();
-            ctx.lineWidth = 2.0 * dpr;
-            ctx.strokeStyle = '#17f7f7';
-            ctx.shadowBlur = 30;  // Increased for more atmospheric glow
-            ctx.shadowColor = '#17f7f7';
-            ctx.stroke();
-            ctx.shadowBlur = 0;
+    Canvas2DPainter.prototype.outline = function(hull, dpr) {
+        var ctx = this.ctx;
+        ctx.beginPath();
+        ctx.moveTo(hull[0].x, hull[0].y);
+        for (var hi = 1; hi < hull.length; hi++) {
+            ctx.lineTo(hull[hi].x, hull[hi].y);
         }
+        ctx.closePath();
+        ctx.lineWidth = 2.0 * dpr;
+        ctx.strokeStyle = '#17f7f7';
+        ctx.shadowBlur = 30;  // Increased for more atmospheric glow
+        ctx.shadowColor = '#17f7f7';
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+    };
 
-        // 6. Ray Tracing and Light Beams
-        var activeBeams = [];
-        var pulse = 0.9 + Math.sin(time * 3) * 0.1;
-
-        function traceSpectralRay(startPoint, direction, band, depth, currentAlpha) {
-            if (depth <= 0 || currentAlpha < 0.01) return;
-
-            var hullHit = intersectRayHull(add(startPoint, mul(direction, 1.0)), direction, hull, -1);
-            var wallHit = intersectRayBounds(add(startPoint, mul(direction, 1.0)), direction, canvasWidth, canvasHeight);
-
-            var target = null;
-            var type = 'none';
+    Canvas2DPainter.prototype.beginLight = function() {
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'lighter';
+    };
 
-            if (hullHit && wallHit) {
-                if (hullHit.t < wallHit.t) { target = hullHit; type = 'hull'; }
-                else { target = wallHit; type = 'wall'; }
-            } else if (hullHit) { target = hullHit; type = 'hull'; }
-            else if (wallHit) { target = wallHit; type = 'wall'; }
+    Canvas2DPainter.prototype.beam = function(start, end, color, widthPx, alpha, hasSmoke) {
+        drawVolumetricBeam(this.ctx, start, end, color, widthPx, alpha, hasSmoke);
+    };
 
-            if (!target) return;
+    Canvas2DPainter.prototype.flare = function(pos, color, scale, isExit, dpr) {
+        drawFlare(this.ctx, pos, color, scale, isExit, dpr);
+    };
 
-            var modAlpha = currentAlpha * pulse;
-            activeBeams.push({ p1: startPoint, p2: target.point });
+    Canvas2DPainter.prototype.fog = function(center, direction, alpha) {
+        drawRainbowFog(this.ctx, center, direction, alpha);
+    };
 
-            // Distance-based beam width - starts wide, grows with distance for aurora effect
-            var dist = len(sub(target.point, startPoint));
-            var spreadWidth = (60 + dist * 0.15) * dpr;  // Start wide, grow slower
-            drawVolumetricBeam(ctx, startPoint, target.point, band.color, spreadWidth, modAlpha * 0.2, true);
+    Canvas2DPainter.prototype.endLight = function() {
+        this.ctx.restore();
+    };
 
-            if (type === 'wall') {
-                drawFlare(ctx, target.point, band.color, 0.8 * modAlpha, false);
-                var dReflect = reflect(direction, target.normal);
-                traceSpectralRay(target.point, dReflect, band, depth - 1, currentAlpha * 0.8);
-            } else if (type === 'hull' && hullHit) {
-                drawFlare(ctx, target.point, band.color, 0.8 * modAlpha, false);
-                var dIn = refract2D(direction, hullHit.normal, N_AIR, band.n);
-                if (!dIn) {
-                    var dReflectInternal = reflect(direction, hullHit.normal);
-                    traceSpectralRay(target.point, dReflectInternal, band, depth - 1, currentAlpha * 0.6);
-                    return;
-                }
-                var exitHit = intersectRayHull(add(hullHit.point, mul(dIn, 0.1)), dIn, hull, hullHit.index);
-                if (!exitHit) return;
+    Canvas2DPainter.prototype.destroy = function() {};
+
+    // --- WebGL Painter ---
+    // Same output as the 2D painter, but beams, flares and fog are evaluated per
+    // pixel in shaders and batched into a handful of draw calls per frame instead
+    // of hundreds of gradient objects.
+    var GL_CONTEXT_ATTRIBUTES = { alpha: false, antialias: true, premultipliedAlpha: true, preserveDrawingBuffer: true };
+
+    var GLSL_PRECISION = [
+        '#ifdef GL_FRAGMENT_PRECISION_HIGH',
+        'precision highp float;',
+        '#else',
+        'precision mediump float;',
+        '#endif'
+    ].join('\n');
+
+    // Canvas pixel coordinates (y down) to clip space
+    var GLSL_TO_CLIP = 'vec4(a_position.x / u_resolution.x * 2.0 - 1.0, 1.0 - a_position.y / u_resolution.y * 2.0, 0.0, 1.0)';
+
+    var GL_PROGRAMS = {
+        // Radial background gradient
+        background: {
+            attributes: [['a_position', 2]],
+            vertex: [
+                'attribute vec2 a_position;',
+                'uniform vec2 u_resolution;',
+                'varying vec2 v_pixel;',
+                'varying vec2 v_resolution;',
+                'void main() {',
+                '    v_pixel = a_position;',
+                '    v_resolution = u_resolution;',
+                '    gl_Position = ' + GLSL_TO_CLIP + ';',
+                '}'
+            ].join('\n'),
+            fragment: [
+                GLSL_PRECISION,
+                'varying vec2 v_pixel;',
+                'varying vec2 v_resolution;',
+                'void main() {',
+                '    float t = distance(v_pixel, v_resolution * 0.5) / (v_resolution.x * 1.2);',
+                '    float c = t < 0.4 ? mix(10.0, 5.0, t / 0.4) : mix(5.0, 0.0, min(1.0, (t - 0.4) / 0.6));',
+                '    gl_FragColor = vec4(vec3(c / 255.0), 1.0);',
+                '}'
+            ].join('\n')
+        },
+        // Mesh fills and strokes (triangles) and stars/dust (points)
+        flat: {
+            attributes: [['a_position', 2], ['a_color', 4], ['a_size', 1]],
+            vertex: [
+                'attribute vec2 a_position;',
+                'attribute vec4 a_color;',
+                'attribute float a_size;',
+                'uniform vec2 u_resolution;',
+                'varying vec4 v_color;',
+                'void main() {',
+                '    v_color = a_color;',
+                '    gl_PointSize = a_size;',
+                '    gl_Position = ' + GLSL_TO_CLIP + ';',
+                '}'
+            ].join('\n'),
+            fragment: [
+                GLSL_PRECISION,
+                'uniform float u_points;',
+                'varying vec4 v_color;',
+                'void main() {',
+                '    vec4 color = v_color;',
+                '    if (u_points > 0.5) {',
+                '        float d = length(gl_PointCoord - 0.5) * 2.0;',
+                '        if (d > 1.0) discard;',
+                '        color *= 1.0 - smoothstep(0.7, 1.0, d);',
+                '    }',
+                '    gl_FragColor = color;',
+                '}'
+            ].join('\n')
+        },
+        // kind 0: volumetric beam, 1: flare, 2: glowing outline segment
+        glow: {
+            attributes: [['a_position', 2], ['a_start', 2], ['a_end', 2], ['a_params', 4], ['a_color', 3]],
+            vertex: [
+                'attribute vec2 a_position;',
+                'attribute vec2 a_start;',
+                'attribute vec2 a_end;',
+                'attribute vec4 a_params;',
+                'attribute vec3 a_color;',
+                'uniform vec2 u_resolution;',
+                'varying vec2 v_pixel;',
+                'varying vec2 v_start;',
+                'varying vec2 v_end;',
+                'varying vec4 v_params;',
+                'varying vec3 v_color;',
+                'void main() {',
+                '    v_pixel = a_position;',
+                '    v_start = a_start;',
+                '    v_end = a_end;',
+                '    v_params = a_params;',
+                '    v_color = a_color;',
+                '    gl_Position = ' + GLSL_TO_CLIP + ';',
+                '}'
+            ].join('\n'),
+            fragment: [
+                GLSL_PRECISION,
+                'varying vec2 v_pixel;',
+                'varying vec2 v_start;',
+                'varying vec2 v_end;',
+                'varying vec4 v_params;',
+                'varying vec3 v_color;',
+                // Same stops as the 2D radial gradients
+                'float falloff(float x, float inner, float outer) {',
+                '    if (x < inner) return 1.0;',
+                '    if (x < outer) return 1.0 - (x - inner) / (outer - inner);',
+                '    return 0.0;',
+                '}',
+                'void main() {',
+                '    float radius = v_params.x;',
+                '    float alpha = v_params.y;',
+                '    float kind = v_params.w;',
+                '    vec2 seg = v_end - v_start;',
+                '    float segLen = length(seg);',
+                '    vec2 dir = segLen > 0.0 ? seg / segLen : vec2(1.0, 0.0);',
+                '    vec2 rel = v_pixel - v_start;',
+                '    float a = 0.0;',
+                '    if (kind < 0.5) {',
+                // Integrate the overlapping discs the 2D beam stamps along its length
+                '        float along = dot(rel, dir);',
+                '        float perp = abs(dot(rel, vec2(-dir.y, dir.x)));',
+                '        float spacing = segLen / v_params.z;',
+                '        float c0 = max(-spacing * 0.5, along - radius * 1.5);',
+                '        float c1 = min(segLen + spacing * 0.5, along + radius * 1.5);',
+                '        float sum = 0.0;',
+                '        if (c1 > c0) {',
+                '            for (int i = 0; i < 12; i++) {',
+                '                float c = c0 + (c1 - c0) * (float(i) + 0.5) / 12.0;',
+                '                float r = radius * (1.0 + 0.5 * clamp(c / segLen, 0.0, 1.0));',
+                '                float du = along - c;',
+                '                sum += falloff(sqrt(perp * perp + du * du) / r, 0.2, 0.6);',
+                '            }',
+                '            sum *= (c1 - c0) / 12.0 / spacing;',
+                '        }',
+                '        a = 1.0 - exp(-alpha * 0.12 * sum);',
+                '    } else if (kind < 1.5) {',
+                '        a = alpha * falloff(length(rel) / radius, 0.3, 0.7);',
+                '    } else {',
+                '        float d = distance(v_pixel, v_start + dir * clamp(dot(rel, dir), 0.0, segLen));',
+                '        float sigma = v_params.z * 0.5;',
+                '        float core = 1.0 - smoothstep(radius - 0.5, radius + 0.5, d);',
+                '        a = alpha * max(core, exp(-d * d / (2.0 * sigma * sigma)) * 0.6);',
+                '    }',
+                '    gl_FragColor = vec4(v_color * a, a);',
+                '}'
+            ].join('\n')
+        },
+        // Conic rainbow fog
+        fog: {
+            attributes: [['a_position', 2], ['a_center', 2], ['a_params', 2]],
+            vertex: [
+                'attribute vec2 a_position;',
+                'attribute vec2 a_center;',
+                'attribute vec2 a_params;',
+                'uniform vec2 u_resolution;',
+                'varying vec2 v_pixel;',
+                'varying vec2 v_center;',
+                'varying vec2 v_params;',
+                'void main() {',
+                '    v_pixel = a_position;',
+                '    v_center = a_center;',
+                '    v_params = a_params;',
+                '    gl_Position = ' + GLSL_TO_CLIP + ';',
+                '}'
+            ].join('\n'),
+            fragment: [
+                GLSL_PRECISION,
+                'varying vec2 v_pixel;',
+                'varying vec2 v_center;',
+                'varying vec2 v_params;',
+                'vec4 stop(vec3 rgb, float k) { return vec4(rgb / 255.0 * k, k); }',
+                'void main() {',
+                '    vec2 d = v_pixel - v_center;',
+                '    if (length(d) > 600.0) discard;',
+                '    float t = fract((atan(d.y, d.x) - v_params.x) / 6.2831853);',
+                '    vec4 c = vec4(0.0);',
+                '    if (t < 0.08) c = mix(vec4(0.0), stop(vec3(255.0, 42.0, 109.0), 0.15), t / 0.08);',
+                '    else if (t < 0.16) c = mix(stop(vec3(255.0, 42.0, 109.0), 0.15), stop(vec3(255.0, 159.0, 10.0), 0.15), (t - 0.08) / 0.08);',
+                '    else if (t < 0.24) c = mix(stop(vec3(255.0, 159.0, 10.0), 0.15), stop(vec3(255.0, 214.0, 10.0), 0.15), (t - 0.16) / 0.08);',
+                '    else if (t < 0.32) c = mix(stop(vec3(255.0, 214.0, 10.0), 0.15), stop(vec3(5.0, 247.0, 165.0), 0.15), (t - 0.24) / 0.08);',
+                '    else if (t < 0.40) c = mix(stop(vec3(5.0, 247.0, 165.0), 0.15), stop(vec3(10.0, 132.0, 255.0), 0.15), (t - 0.32) / 0.08);',
+                '    else if (t < 0.48) c = mix(stop(vec3(10.0, 132.0, 255.0), 0.15), stop(vec3(94.0, 92.0, 230.0), 0.12), (t - 0.40) / 0.08);',
+                '    else if (t < 0.56) c = mix(stop(vec3(94.0, 92.0, 230.0), 0.12), stop(vec3(191.0, 90.0, 242.0), 0.12), (t - 0.48) / 0.08);',
+                '    else if (t < 0.65) c = mix(stop(vec3(191.0, 90.0, 242.0), 0.12), vec4(0.0), (t - 0.56) / 0.09);',
+                '    gl_FragColor = c * v_params.y;',
+                '}'
+            ].join('\n')
+        }
+    };
 
-                // Internal beam - soft radial approach matching external beams
-                drawVolumetricBeam(ctx, hullHit.point, exitHit.point, band.color, 25 * dpr, currentAlpha * 0.4 * pulse, false);
+    function hexToRgb(hex) {
+        if (hex.length === 4) {
+            return [parseInt(hex[1] + hex[1], 16), parseInt(hex[2] + hex[2], 16), parseInt(hex[3] + hex[3], 16)];
+        }
+        return [parseInt(hex.substring(1, 3), 16), parseInt(hex.substring(3, 5), 16), parseInt(hex.substring(5, 7), 16)];
+    }
 
-                var dOut = refract2D(dIn, exitHit.normal, band.n, N_AIR);
-                if (!dOut) return;
-                traceSpectralRay(exitHit.point, dOut, band, depth - 1, currentAlpha * 0.9);
+    function compileGLProgram(gl, spec) {
+        function compile(type, source) {
+            var shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                console.warn('PrismScene: Shader compile failed - ' + gl.getShaderInfoLog(shader));
+                return null;
             }
+            return shader;
         }
 
-        var mouse = vec2(mx, my);
-        var entryHit = intersectRayHull(mouse, rayDir, hull, -1);
-        var targetAlpha = entryHit ? 1.0 : 0.0;
-        globalAlpha += (targetAlpha - globalAlpha) * 0.1;
+        var vs = compile(gl.VERTEX_SHADER, spec.vertex);
+        var fs = compile(gl.FRAGMENT_SHADER, spec.fragment);
+        if (!vs || !fs) return null;
+
+        var program = gl.createProgram();
+        gl.attachShader(program, vs);
+        gl.attachShader(program, fs);
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            console.warn('PrismScene: Shader link failed - ' + gl.getProgramInfoLog(program));
+            return null;
+        }
 
-        ctx.save();
-        ctx.globalCompositeOperation = 'lighter';
+        var stride = 0;
+        var attributes = spec.attributes.map(function(attr) {
+            var info = { location: gl.getAttribLocation(program, attr[0]), size: attr[1], offset: stride };
+            stride += attr[1];
+            return info;
+        });
 
-        var beamEnd = entryHit ? entryHit.point : add(mouse, mul(rayDir, Math.max(canvasWidth, canvasHeight)));
-        activeBeams.push({ p1: mouse, p2: beamEnd });
+        return {
+            program: program,
+            attributes: attributes,
+            stride: stride,
+            uResolution: gl.getUniformLocation(program, 'u_resolution'),
+            uPoints: gl.getUniformLocation(program, 'u_points')
+        };
+    }
 
-        // Main white beam
-        if (globalAlpha > 0.001) {
-            drawVolumetricBeam(ctx, mouse, beamEnd, '#ffffff', 8 * dpr, 0.4, true);  // Thinner, subtler main beam
-        }
+    function WebGLPainter(gl, canvas) {
+        var self = this;
+        this.gl = gl;
+        this.backend = 'webgl';
+        this.lost = false;
+        this.width = 0;
+        this.height = 0;
 
-        if (entryHit) {
-            drawFlare(ctx, entryHit.point, '#ffffff', 1.5, false);
+        this.onContextLost = function(e) {
+            e.preventDefault();
+            self.lost = true;
+        };
+        this.onContextRestored = function() {
+            self.lost = !self.setup();
+        };
+        this.canvas = canvas;
+        canvas.addEventListener('webglcontextlost', this.onContextLost, false);
+        canvas.addEventListener('webglcontextrestored', this.onContextRestored, false);
+
+        this.ready = this.setup();
+    }
+
+    WebGLPainter.prototype.setup = function() {
+        var gl = this.gl;
+        this.programs = {};
+        for (var name in GL_PROGRAMS) {
+            this.programs[name] = compileGLProgram(gl, GL_PROGRAMS[name]);
+            if (!this.programs[name]) return false;
         }
+        this.buffer = gl.createBuffer();
+        this.enabledAttributes = [];
+        gl.disable(gl.DEPTH_TEST);
+        gl.enable(gl.BLEND);
+        return true;
+    };
 
-        // Spectral rays
-        if (entryHit && globalAlpha > 0.01) {
-            for (var sp = 0; sp < SPECTRUM.length; sp++) {
-                var band = SPECTRUM[sp];
-                var dIn = refract2D(rayDir, entryHit.normal, N_AIR, band.n);
-                if (!dIn) continue;
-                var exitHit = intersectRayHull(add(entryHit.point, mul(dIn, 0.1)), dIn, hull, entryHit.index);
-                if (!exitHit) continue;
+    WebGLPainter.prototype.isLost = function() {
+        return this.lost || this.gl.isContextLost();
+    };
 
-                // Internal beam - soft radial approach matching external beams
-                drawVolumetricBeam(ctx, entryHit.point, exitHit.point, band.color, 25 * dpr, band.opacity * 0.3 * globalAlpha * pulse, false);
+    // Upload interleaved vertex data and draw it with the given program
+    WebGLPainter.prototype.draw = function(programName, data, mode, isPoints) {
+        if (data.length === 0) return;
+        var gl = this.gl;
+        var info = this.programs[programName];
 
-                drawFlare(ctx, exitHit.point, band.color, 1.0, true);
+        gl.useProgram(info.program);
+        gl.uniform2f(info.uResolution, this.width, this.height);
+        if (info.uPoints) gl.uniform1f(info.uPoints, isPoints ? 1 : 0);
 
-                var dOut = refract2D(dIn, exitHit.normal, band.n, N_AIR);
-                if (dOut) {
-                    traceSpectralRay(exitHit.point, dOut, band, currentQuality.maxBounces, globalAlpha);
-                }
-            }
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data), gl.DYNAMIC_DRAW);
 
-            // Add soft rainbow fog overlay
-            var midBand = SPECTRUM[3]; // green - middle of spectrum
-            var dInMid = refract2D(rayDir, entryHit.normal, N_AIR, midBand.n);
-            if (dInMid) {
-                var exitHitMid = intersectRayHull(add(entryHit.point, mul(dInMid, 0.1)), dInMid, hull, entryHit.index);
-                if (exitHitMid) {
-                    var dOutMid = refract2D(dInMid, exitHitMid.normal, midBand.n, N_AIR);
-                    if (dOutMid) {
-                        drawRainbowFog(ctx, exitHitMid.point, dOutMid, globalAlpha);
-                    }
-                }
-            }
+        for (var e = 0; e < this.enabledAttributes.length; e++) {
+            gl.disableVertexAttribArray(this.enabledAttributes[e]);
         }
-
-        // 7. Draw Dust (volumetric)
-        ctx.globalCompositeOperation = 'source-over';
-        for (var di = 0; di < dust.length; di++) {
-            dust[di].update(0, 0);
-            dust[di].draw(ctx, canvasWidth, canvasHeight, activeBeams);
+        this.enabledAttributes = [];
+        for (var i = 0; i < info.attributes.length; i++) {
+            var attr = info.attributes[i];
+            if (attr.location < 0) continue;
+            gl.enableVertexAttribArray(attr.location);
+            gl.vertexAttribPointer(attr.location, attr.size, gl.FLOAT, false, info.stride * 4, attr.offset * 4);
+            this.enabledAttributes.push(attr.location);
         }
 
-        ctx.restore();
+        gl.drawArrays(mode, 0, data.length / info.stride);
+    };
 
-        animationFrameId = requestAnimationFrame(render);
-    }
+    // Premultiplied source-over
+    WebGLPainter.prototype.blendNormal = function() {
+        this.gl.blendFunc(this.gl.ONE, this.gl.ONE_MINUS_SRC_ALPHA);
+    };
 
-    // --- Initialize ---
-    function init() {
-        console.log('%c✓ PrismScene initializing... (Quality: ' + currentTierName + ')', 'color: #17f7f7; font-size: 12px;');
+    // result = src + dst * (1 - src), i.e. the 2D 'screen' mode
+    WebGLPainter.prototype.blendScreen = function() {
+        var gl = this.gl;
+        gl.blendFuncSeparate(gl.ONE, gl.ONE_MINUS_SRC_COLOR, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    };
 
-        // Generate geometry
-        generateGeometry(currentQuality.subdivisions);
+    // The 2D 'lighter' mode
+    WebGLPainter.prototype.blendAdditive = function() {
+        this.gl.blendFunc(this.gl.ONE, this.gl.ONE);
+    };
 
-        // Create noise texture
-        noisePattern = createNoiseTexture();
+    // Two triangles covering the quad a-b-c-d, each vertex followed by extra attributes
+    function pushQuad(out, a, b, c, d, extra) {
+        var corners = [a, b, c, a, c, d];
+        for (var i = 0; i < corners.length; i++) {
+            out.push(corners[i].x, corners[i].y);
+            for (var j = 0; j < extra.length; j++) out.push(extra[j]);
+        }
+    }
 
-        // Initial resize
-        var containerRect = container.getBoundingClientRect();
-        width = containerRect.width;
-        height = containerRect.height;
-        dpr = Math.min(window.devicePixelRatio || 1, 2);
+    // Axis-aligned square around a point
+    function pushSquare(out, center, radius, extra) {
+        pushQuad(out,
+            vec2(center.x - radius, center.y - radius), vec2(center.x + radius, center.y - radius),
+            vec2(center.x + radius, center.y + radius), vec2(center.x - radius, center.y + radius),
+            extra);
+    }
 
-        canvas.width = width * dpr;
-        canvas.height = height * dpr;
-        canvas.style.width = width + 'px';
-        canvas.style.height = height + 'px';
+    // Quad covering a segment padded by `pad` on every side
+    function pushSegmentQuad(out, start, end, pad, extra) {
+        var dir = norm(sub(end, start));
+        if (dir.x === 0 && dir.y === 0) dir = vec2(1, 0);
+        var along = mul(dir, pad);
+        var across = vec2(-dir.y * pad, dir.x * pad);
+        var s = sub(start, along);
+        var e = add(end, along);
+        pushQuad(out, add(s, across), add(e, across), sub(e, across), sub(s, across), extra);
+    }
 
-        mouseX = width / 2;
-        mouseY = height / 2;
-        smoothMouseX = mouseX;
-        smoothMouseY = mouseY;
-        // Initialize spring positions
-        springX.pos = mouseX;
-        springY.pos = mouseY;
-        springX.vel = 0;
-        springY.vel = 0;
+    WebGLPainter.prototype.background = function(w, h) {
+        var gl = this.gl;
+        this.width = w;
+        this.height = h;
+        gl.viewport(0, 0, w, h);
+        gl.clearColor(0, 0, 0, 1);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        var data = [];
+        pushQuad(data, vec2(0, 0), vec2(w, 0), vec2(w, h), vec2(0, h), []);
+        this.blendNormal();
+        this.draw('background', data, gl.TRIANGLES);
+    };
 
-        // Initialize particles
-        initializeParticles(width, height);
+    WebGLPainter.prototype.particles = function(list, w, h, beams) {
+        var data = [];
+        for (var i = 0; i < list.length; i++) {
+            var p = list[i].project(w, h, beams);
+            if (!p) continue;
+            // Sub-pixel particles fade out instead of vanishing
+            var size = p.radius * 2;
+            var alpha = size < 1 ? p.alpha * size : p.alpha;
+            data.push(p.x, p.y, alpha, alpha, alpha, alpha, Math.max(1, size));
+        }
+        this.blendNormal();
+        this.draw('flat', data, this.gl.POINTS, true);
+    };
 
-        // Event listeners
-        window.addEventListener('resize', handleResize, false);
-        window.addEventListener('mousemove', handleMouseMove, false);
-        canvas.addEventListener('touchstart', handleTouchStart, { passive: true });
-        canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
-        canvas.addEventListener('touchend', handleTouchEnd, { passive: true });
-        canvas.addEventListener('touchcancel', handleTouchEnd, { passive: true });
-        document.addEventListener('visibilitychange', handleVisibilityChange, false);
+    // Thin lines become 1px quads with proportionally lower alpha
+    function pushStroke(out, a, b, lineWidth, color, alpha) {
+        var w = Math.max(1, lineWidth);
+        var k = alpha * Math.min(1, lineWidth);
+        var dir = norm(sub(b, a));
+        var across = vec2(-dir.y * w / 2, dir.x * w / 2);
+        pushQuad(out, add(a, across), add(b, across), sub(b, across), sub(a, across),
+            [color[0] * k, color[1] * k, color[2] * k, k, 0]);
+    }
 
-        // Handle reduced motion preference
-        var prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
-        prefersReducedMotion.addEventListener('change', function(e) {
-            if (e.matches) {
-                currentTierName = 'MINIMAL';
-                currentQuality = QualityTier.MINIMAL;
-                generateGeometry(currentQuality.subdivisions);
-                initializeParticles(width, height);
+    WebGLPainter.prototype.mesh = function(facesWithDepth, projectedVerts, dpr) {
+        var cyan = [23 / 255, 247 / 255, 247 / 255];
+        var data = [];
+
+        for (var i = 0; i < facesWithDepth.length; i++) {
+            var face = facesWithDepth[i];
+            var p0 = projectedVerts[face.indices[0]];
+            var p1 = projectedVerts[face.indices[1]];
+            var p2 = projectedVerts[face.indices[2]];
+
+            if (face.isFront) {
+                var k = face.fillOpacity;
+                var fill = [cyan[0] * k, cyan[1] * k, cyan[2] * k, k, 0];
+                [p0, p1, p2].forEach(function(p) {
+                    data.push(p.x, p.y);
+                    data.push.apply(data, fill);
+                });
             }
-        });
+            pushStroke(data, p0, p1, 0.5 * dpr, cyan, face.strokeOpacity);
+            pushStroke(data, p1, p2, 0.5 * dpr, cyan, face.strokeOpacity);
+            pushStroke(data, p2, p0, 0.5 * dpr, cyan, face.strokeOpacity);
+        }
 
-        // Start render loop
-        animationFrameId = requestAnimationFrame(render);
+        this.blendNormal();
+        this.draw('flat', data, this.gl.TRIANGLES);
+    };
 
-        console.log('%c✓ PrismScene animation started!', 'color: #17f7f7; font-size: 12px;');
-    }
+    WebGLPainter.prototype.outline = function(hull, dpr) {
+        var blur = 30;
+        var data = [];
+        for (var i = 0; i < hull.length; i++) {
+            var a = hull[i];
+            var b = hull[(i + 1) % hull.length];
+            pushSegmentQuad(data, a, b, blur * 1.5, [a.x, a.y, b.x, b.y, dpr, 1, blur, 2, 23 / 255, 247 / 255, 247 / 255]);
+        }
+        this.blendScreen();
+        this.draw('glow', data, this.gl.TRIANGLES);
+    };
 
-    // Cleanup on page unload
-    window.addEventListener('beforeunload', function() {
-        if (animationFrameId) {
-            cancelAnimationFrame(animationFrameId);
-        }
-        window.removeEventListener('resize', handleResize);
-        window.removeEventListener('mousemove', handleMouseMove);
-        canvas.removeEventListener('touchstart', handleTouchStart);
-        canvas.removeEventListener('touchmove', handleTouchMove);
-        canvas.removeEventListener('touchend', handleTouchEnd);
-        canvas.removeEventListener('touchcancel', handleTouchEnd);
-        document.removeEventListener('visibilitychange', handleVisibilityChange);
-    });
+    WebGLPainter.prototype.beginLight = function() {
+        this.glowData = [];
+        this.fogData = [];
+    };
 
-    // Start
-    init();
-})();
+    WebGLPainter.prototype.beam = function(start, end, color, widthPx, alpha) {
+        var length = len(sub(end, start));
+        if (length < 1) return;
+        var rgb = hexToRgb(color);
+        var steps = Math.max(8, Math.floor(length / 40));
+        pushSegmentQuad(this.glowData, start, end, widthPx * 1.5 + length / steps,
+            [start.x, start.y, end.x, end.y, widthPx, alpha, steps, 0, rgb[0] / 255, rgb[1] / 255, rgb[2] / 255]);
+    };
 
-// ========================================
+    WebGLPainter.prototype.flare = function(pos, color, scale, isExit, dpr) {
+        var rad = (isExit ? 40 : 15) * scale * dpr;
+        if (rad <= 0) return;
+        var rgb = hexToRgb(color);
+        pushSquare(this.glowData, pos, rad,
+            [pos.x, pos.y, pos.x, pos.y, rad, 0.5, 0, 1, rgb[0] / 255, rgb[1] / 255, rgb[2] / 255]);
+    };
+
+    WebGLPainter.prototype.fog = function(center, direction, alpha) {
+        var fogCenter = vec2(center.x + direction.x * 300, center.y + direction.y * 300);
+        var baseAngle = Math.atan2(direction.y, direction.x);
+        pushSquare(this.fogData, fogCenter, 600, [fogCenter.x, fogCenter.y, baseAngle - 0.4, alpha]);
+    };
+
+    WebGLPainter.prototype.endLight = function() {
+        this.blendScreen();
+        this.draw('glow', this.glowData, this.gl.TRIANGLES);
+        this.blendAdditive();
+        this.draw('fog', this.fogData, this.gl.TRIANGLES);
+        this.glowData = null;
+        this.fogData = null;
+    };
+
+    WebGLPainter.prototype.destroy = function() {
+        this.canvas.removeEventListener('webglcontextlost', this.onContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+    };
+
+    // Compile the shaders on a scratch canvas first: once a canvas hands out a
+    // WebGL context it can never fall back to 2D.
+    var webGLSupported = null;
+
+    function canUseWebGL() {
+        if (webGLSupported !== null) return webGLSupported;
+        webGLSupported = false;
+        try {
+            var probe = createScratchCanvas(1, 1);
+            var gl = probe.getContext('webgl', GL_CONTEXT_ATTRIBUTES);
+            if (gl) {
+                webGLSupported = Object.keys(GL_PROGRAMS).every(function(name) {
+                    return !!compileGLProgram(gl, GL_PROGRAMS[name]);
+                });
+                var loseContext = gl.getExtension('WEBGL_lose_context');
+                if (loseContext) loseContext.loseContext();
+            }
+        } catch (err) {
+            webGLSupported = false;
+        }
+        return webGLSupported;
+    }
+
+    // 'auto' (default) prefers WebGL; '2d' forces the canvas renderer
+    function createPainter(canvas, backend) {
+        if (backend !== '2d' && canUseWebGL()) {
+            var gl = canvas.getContext('webgl', GL_CONTEXT_ATTRIBUTES);
+            if (gl) {
+                var glPainter = new WebGLPainter(gl, canvas);
+                if (glPainter.ready) return glPainter;
+                glPainter.destroy();
+                return null;
+            }
+        }
+        var ctx = canvas.getContext('2d');
+        return ctx ? new Canvas2DPainter(ctx) : null;
+    }
+
+    // --- Frame Loop Helpers ---
+    // Dedicated workers expose requestAnimationFrame in Chromium and Firefox; fall back to timers elsewhere
+    var requestFrame = typeof requestAnimationFrame === 'function'
+        ? function(callback) { return requestAnimationFrame(callback); }
+        : function(callback) { return setTimeout(function() { callback(performance.now()); }, 16); };
+    var cancelFrame = typeof cancelAnimationFrame === 'function'
+        ? function(id) { cancelAnimationFrame(id); }
+        : function(id) { clearTimeout(id); };
+
+    // --- Renderer ---
+    // Draws the scene into a canvas or OffscreenCanvas. It never touches the DOM,
+    // so the same code runs on the main thread or inside the render worker; the
+    // PrismScene host below feeds it size, pointer and visibility updates.
+    function PrismRenderer(canvas, options) {
+        var self = this;
+        var painter = createPainter(canvas, options.renderer);
+
+        this.supported = !!painter;
+        if (!painter) return;
+        this.backend = painter.backend;
+
+        var objectScale = options.scale || OBJECT_SCALE;
+        var spectrum = DEFAULT_SPECTRUM.slice();
+        var refractionMode = options.refraction === 'faces' ? 'faces' : 'hull';
+        var onQualityChange = options.onQualityChange || function() {};
+
+        var currentTierName = QualityTier[options.quality] ? options.quality : 'HIGH';
+        var currentQuality = QualityTier[currentTierName];
+        var qualityController = new QualityController(currentTierName, options.maxQuality);
+        var lastFrameTime = 0;
+
+        if (options.adaptive === false) qualityController.setAdaptive(false);
+
+        // --- State Variables ---
+        var animationFrameId = null;
+        var isRunning = false;
+        var isDestroyed = false;
+        var isPageVisible = options.visible !== false;
+        var mouseX = 0;
+        var mouseY = 0;
+        var smoothMouseX = 0;
+        var smoothMouseY = 0;
+
+        // Spring physics state for natural mouse following (from MlBrandKit reference)
+        var springX = { pos: 0, vel: 0 };
+        var springY = { pos: 0, vel: 0 };
+
+        var rotationX = 0;
+        var rotationY = 0;
+        var rotationZ = 0;
+        var globalAlpha = 0;
+        var time = 0;
+        var stars = [];
+        var dust = [];
+        var noisePattern = null;
+        var dpr = 1;
+        var width = 0;
+        var height = 0;
+
+        // What the last frame drew, for getStats()
+        var frameCount = 0;
+        var lastRefraction = null;
+        var lastBeams = [];
+
+        // Geometry
+        var VERTS = [];
+        var FACES = [];
+        var geometrySource = options.geometry || null;
+        var displacement = options.displacement;
+
+        function rebuildGeometry() {
+            var mesh;
+            try {
+                mesh = generateGeometry(currentQuality.subdivisions, geometrySource, displacement);
+            } catch (err) {
+                console.warn(err.message + ' - using built-in icosahedron');
+                geometrySource = null;
+                mesh = generateGeometry(currentQuality.subdivisions, null, displacement);
+            }
+            VERTS = mesh.verts;
+            FACES = mesh.faces;
+        }
+
+        // change: { tier, previous, reason, p50, p95 }
+        function applyQuality(change) {
+            currentTierName = change.tier;
+            currentQuality = QualityTier[change.tier];
+            rebuildGeometry();
+            initializeParticles(width, height);
+            onQualityChange(change);
+        }
+
+        // --- Initialize Particles ---
+        function initializeParticles(w, h) {
+            stars = [];
+            dust = [];
+            for (var i = 0; i < currentQuality.starCount; i++) {
+                stars.push(new Particle(w, h, false));
+            }
+            for (var j = 0; j < currentQuality.dustCount; j++) {
+                dust.push(new Particle(w, h, true));
+            }
+        }
+
+        // --- Adaptive Quality ---
+        function monitorFrame(now) {
+            var frameTime = lastFrameTime ? now - lastFrameTime : 0;
+            lastFrameTime = now;
+
+            var change = qualityController.record(frameTime, now);
+            if (!change) return;
+
+            applyQuality(change);
+            var verb = change.reason === 'headroom' ? 'upgraded' : 'downgraded';
+            console.log('%c⚡ PrismScene: Quality ' + verb + ' to ' + change.tier +
+                ' (p50 ' + change.p50.toFixed(1) + 'ms, p95 ' + change.p95.toFixed(1) + 'ms)', 'color: #ff9f0a; font-size: 12px;');
+        }
+
+        function resumeMonitoring() {
+            lastFrameTime = 0;
+            qualityController.reset(performance.now());
+        }
+
+        // --- Frame Loop ---
+        // With an external clock (the page's AnimationScheduler) the host calls
+        // tick(dt); otherwise the renderer drives itself with requestFrame.
+        var externalClock = !!options.externalClock;
+        var lastLoopTime = 0;
+
+        function loop(now) {
+            if (!isRunning || !isPageVisible) return;
+            animationFrameId = requestFrame(loop);
+
+            var dt = lastLoopTime ? Math.min(0.1, (now - lastLoopTime) / 1000) : 0;
+            lastLoopTime = now;
+
+            // Wait for a lost WebGL context to be restored
+            if (painter.isLost()) return;
+            render(dt);
+        }
+
+        function startLoop() {
+            lastLoopTime = 0;
+            animationFrameId = requestFrame(loop);
+        }
+
+        // --- Main Render Function ---
+        // dt: seconds since the previous frame; motion constants were tuned per 60fps frame
+        function render(dt) {
+            var frames = dt * 60;
+            var canvasWidth = canvas.width;
+            var canvasHeight = canvas.height;
+
+            // Frame-time monitoring
+            monitorFrame(performance.now());
+
+            time += 0.005 * frames;
+
+            // Spring physics mouse interpolation (natural deceleration like MlBrandKit)
+            smoothMouseX = updateSpring(springX, mouseX, dt);
+            smoothMouseY = updateSpring(springY, mouseY, dt);
+
+            var mx = smoothMouseX * dpr;
+            var my = smoothMouseY * dpr;
+            var center = vec2(canvasWidth / 2, canvasHeight / 2);
+
+            // Update rotation
+            rotationX += (0.0005 + (smoothMouseY - height / 2) * 0.000001) * frames;
+            rotationY += (0.0010 + (smoothMouseX - width / 2) * 0.000001) * frames;
+
+            // 1. Draw Background
+            painter.background(canvasWidth, canvasHeight);
+
+            // 2. Transform geometry
+            var scale = objectScale * dpr;
+            var transformed3D = VERTS.map(function(v) {
+                var rv = rotateX(v, rotationX);
+                rv = rotateY(rv, rotationY);
+                rv = rotateZ(rv, rotationZ);
+                return rv;
+            });
+
+            var projectedVerts = transformed3D.map(function(v) {
+                return vec2(center.x + v.x * scale, center.y + v.y * scale);
+            });
+
+            var mouseVec = sub(center, vec2(mx, my));
+            var rayDir = norm(mouseVec);
+            var lightDir = norm3({ x: -rayDir.x, y: -rayDir.y, z: 0.8 });
+
+            // 3. Draw Stars
+            var parallaxX = smoothMouseX - width / 2;
+            var parallaxY = smoothMouseY - height / 2;
+            for (var si = 0; si < stars.length; si++) {
+                stars[si].update(parallaxX, parallaxY, frames);
+            }
+            painter.particles(stars, canvasWidth, canvasHeight, []);
+
+            // 4. Draw Mesh (back faces first, then front)
+            var facesWithDepth = FACES.map(function(faceIndices) {
+                var z = 0;
+                for (var fi = 0; fi < faceIndices.length; fi++) {
+                    z += transformed3D[faceIndices[fi]].z;
+                }
+                z /= faceIndices.length;
+
+                var v0 = transformed3D[faceIndices[0]];
+                var v1 = transformed3D[faceIndices[1]];
+                var v2 = transformed3D[faceIndices[2]];
+                var edge1 = sub3(v1, v0);
+                var edge2 = sub3(v2, v0);
+                var normal = norm3(cross3(edge1, edge2));
+                var viewDot = Math.abs(normal.z);
+                var fresnel = 1.0 - viewDot;
+                var intensity = Math.max(0, dot3(normal, lightDir));
+
+                var p0 = projectedVerts[faceIndices[0]];
+                var p1 = projectedVerts[faceIndices[1]];
+                var p2 = projectedVerts[faceIndices[2]];
+                var area = (p1.x - p0.x) * (p1.y + p0.y) +
+                           (p2.x - p1.x) * (p2.y + p1.y) +
+                           (p0.x - p2.x) * (p0.y + p2.y);
+
+                var isFront = area < 0;
+                var baseFill = 0.02;
+                var specular = intensity * 0.25;
+                var fresnelGlow = fresnel * 0.15;
+
+                return {
+                    indices: faceIndices,
+                    z: z,
+                    isFront: isFront,
+                    fillOpacity: baseFill + specular + fresnelGlow,
+                    strokeOpacity: isFront ? 0.05 + fresnel * 0.3 + intensity * 0.2 : 0.04
+                };
+            }).sort(function(a, b) { return a.z - b.z; });
+
+            painter.mesh(facesWithDepth, projectedVerts, dpr);
+
+            // 5. Draw Convex Hull Outline
+            var hull = getConvexHull(projectedVerts);
+            if (hull.length > 0) {
+                painter.outline(hull, dpr);
+            }
+
+            // 6. Ray Tracing and Light Beams
+            var activeBeams = [];
+            var pulse = 0.9 + Math.sin(time * 3) * 0.1;
+
+            function traceSpectralRay(startPoint, direction, band, depth, currentAlpha) {
+                if (depth <= 0 || currentAlpha < 0.01) return;
+
+                var hullHit = intersectRayHull(add(startPoint, mul(direction, 1.0)), direction, hull, -1);
+                var wallHit = intersectRayBounds(add(startPoint, mul(direction, 1.0)), direction, canvasWidth, canvasHeight);
+
+                var target = null;
+                var type = 'none';
+
+                if (hullHit && wallHit) {
+                    if (hullHit.t < wallHit.t) { target = hullHit; type = 'hull'; }
+                    else { target = wallHit; type = 'wall'; }
+                } else if (hullHit) { target = hullHit; type = 'hull'; }
+                else if (wallHit) { target = wallHit; type = 'wall'; }
+
+                if (!target) return;
+
+                var modAlpha = currentAlpha * pulse;
+                activeBeams.push({ p1: startPoint, p2: target.point });
+
+                // Distance-based beam width - starts wide, grows with distance for aurora effect
+                var dist = len(sub(target.point, startPoint));
+                var spreadWidth = (60 + dist * 0.15) * dpr;  // Start wide, grow slower
+                painter.beam(startPoint, target.point, band.color, spreadWidth, modAlpha * 0.2, true);
+
+                if (type === 'wall') {
+                    painter.flare(target.point, band.color, 0.8 * modAlpha, false, dpr);
+                    var dReflect = reflect(direction, target.normal);
+                    traceSpectralRay(target.point, dReflect, band, depth - 1, currentAlpha * 0.8);
+                } else if (type === 'hull' && hullHit) {
+                    painter.flare(target.point, band.color, 0.8 * modAlpha, false, dpr);
+                    var dIn = refract2D(direction, hullHit.normal, N_AIR, band.n);
+                    if (!dIn) {
+                        var dReflectInternal = reflect(direction, hullHit.normal);
+                        traceSpectralRay(target.point, dReflectInternal, band, depth - 1, currentAlpha * 0.6);
+                        return;
+                    }
+                    var exitHit = intersectRayHull(add(hullHit.point, mul(dIn, 0.1)), dIn, hull, hullHit.index);
+                    if (!exitHit) return;
+
+                    // Internal beam - soft radial approach matching external beams
+                    painter.beam(hullHit.point, exitHit.point, band.color, 25 * dpr, currentAlpha * 0.4 * pulse, false);
+
+                    var dOut = refract2D(dIn, exitHit.normal, band.n, N_AIR);
+                    if (!dOut) return;
+                    traceSpectralRay(exitHit.point, dOut, band, depth - 1, currentAlpha * 0.9);
+                }
+            }
+
+            // --- Per-face (3D) refraction ---
+            // Rays travel through the rotated triangles in screen space (x, y in pixels,
+            // z scaled the same way) and bend at every facet they cross.
+            var useFaceRefraction = refractionMode === 'faces' && currentQuality.faceRefraction;
+            var refractionMesh = useFaceRefraction ? buildRefractionMesh(transformed3D, FACES, center, scale) : null;
+
+            function traceSpectralRay3D(startPoint, direction, band, depth, currentAlpha) {
+                if (depth <= 0 || currentAlpha < 0.01) return;
+
+                var origin = add3(startPoint, mul3(direction, 1.0));
+                var meshHit = intersectRayMesh(origin, direction, refractionMesh, -1);
+                var wallHit = intersectRayBounds(origin, direction, canvasWidth, canvasHeight);
+                if (wallHit) wallHit.point = add3(origin, mul3(direction, wallHit.t));
+
+                var target = null;
+                var type = 'none';
+
+                if (meshHit && (!wallHit || meshHit.t < wallHit.t)) { target = meshHit; type = 'mesh'; }
+                else if (wallHit) { target = wallHit; type = 'wall'; }
+
+                if (!target) return;
+
+                var modAlpha = currentAlpha * pulse;
+                activeBeams.push({ p1: startPoint, p2: target.point });
+
+                var dist = len(sub(target.point, startPoint));
+                var spreadWidth = (60 + dist * 0.15) * dpr;
+                painter.beam(startPoint, target.point, band.color, spreadWidth, modAlpha * 0.2, true);
+                painter.flare(target.point, band.color, 0.8 * modAlpha, false, dpr);
+
+                if (type === 'wall') {
+                    var dReflect = reflect3(direction, vec3(target.normal.x, target.normal.y, 0));
+                    traceSpectralRay3D(target.point, dReflect, band, depth - 1, currentAlpha * 0.8);
+                } else {
+                    var dIn = refract3D(direction, meshHit.normal, N_AIR, band.n);
+                    if (!dIn) {
+                        traceSpectralRay3D(target.point, reflect3(direction, meshHit.normal), band, depth - 1, currentAlpha * 0.6);
+                        return;
+                    }
+                    traceInternalRay3D(meshHit, dIn, band, depth - 1, currentAlpha * 0.9);
+                }
+            }
+
+            // Inside the mesh: at each facet the ray either escapes (and part of it
+            // splits off as an internal reflection) or is totally internally reflected.
+            function traceInternalRay3D(fromHit, direction, band, depth, currentAlpha) {
+                if (currentAlpha < 0.01) return;
+
+                var exitHit = intersectRayMesh(add3(fromHit.point, mul3(direction, 0.1)), direction, refractionMesh, fromHit.index);
+                if (!exitHit) return;
+
+                painter.beam(fromHit.point, exitHit.point, band.color, 25 * dpr, band.opacity * 0.3 * currentAlpha * pulse, false);
+
+                var dOut = refract3D(direction, exitHit.normal, band.n, N_AIR);
+                var dReflect = reflect3(direction, exitHit.normal);
+
+                if (!dOut) {
+                    if (depth > 0) traceInternalRay3D(exitHit, dReflect, band, depth - 1, currentAlpha * 0.9);
+                    return;
+                }
+
+                painter.flare(exitHit.point, band.color, Math.min(1, currentAlpha), true, dpr);
+                traceSpectralRay3D(exitHit.point, dOut, band, depth, currentAlpha);
+
+                if (depth > 0) {
+                    traceInternalRay3D(exitHit, dReflect, band, depth - 1, currentAlpha * INTERNAL_SPLIT_RATIO);
+                }
+            }
+
+            var mouse = vec2(mx, my);
+            var rayDir3 = vec3(rayDir.x, rayDir.y, 0);
+            var entryHit = useFaceRefraction
+                ? intersectRayMesh(vec3(mx, my, 0), rayDir3, refractionMesh, -1)
+                : intersectRayHull(mouse, rayDir, hull, -1);
+            var targetAlpha = entryHit ? 1.0 : 0.0;
+            globalAlpha += (targetAlpha - globalAlpha) * (1 - Math.pow(0.9, frames));
+
+            painter.beginLight();
+
+            var beamEnd = entryHit ? entryHit.point : add(mouse, mul(rayDir, Math.max(canvasWidth, canvasHeight)));
+            activeBeams.push({ p1: mouse, p2: beamEnd });
+
+            // Main white beam
+            if (globalAlpha > 0.001) {
+                painter.beam(mouse, beamEnd, '#ffffff', 8 * dpr, 0.4, true);  // Thinner, subtler main beam
+            }
+
+            if (entryHit) {
+                painter.flare(entryHit.point, '#ffffff', 1.5, false, dpr);
+            }
+
+            // Spectral rays through the facets
+            if (useFaceRefraction && entryHit && globalAlpha > 0.01) {
+                for (var sp3 = 0; sp3 < spectrum.length; sp3++) {
+                    var band3 = spectrum[sp3];
+                    var dIn3 = refract3D(rayDir3, entryHit.normal, N_AIR, band3.n);
+                    if (dIn3) {
+                        traceInternalRay3D(entryHit, dIn3, band3, currentQuality.maxBounces, globalAlpha);
+                    }
+                }
+
+                // Rainbow fog follows the middle band out of its first exit facet
+                var midBand3 = spectrum[Math.floor(spectrum.length / 2)];
+                var dInMid3 = refract3D(rayDir3, entryHit.normal, N_AIR, midBand3.n);
+                var exitMid3 = dInMid3 && intersectRayMesh(add3(entryHit.point, mul3(dInMid3, 0.1)), dInMid3, refractionMesh, entryHit.index);
+                var dOutMid3 = exitMid3 && refract3D(dInMid3, exitMid3.normal, midBand3.n, N_AIR);
+                if (dOutMid3 && len(dOutMid3) > 0.01) {
+                    painter.fog(exitMid3.point, norm(vec2(dOutMid3.x, dOutMid3.y)), globalAlpha);
+                }
+            }
+
+            // Spectral rays through the 2D hull (cheap path)
+            if (!useFaceRefraction && entryHit && globalAlpha > 0.01) {
+                for (var sp = 0; sp < spectrum.length; sp++) {
+                    var band = spectrum[sp];
+                    var dIn = refract2D(rayDir, entryHit.normal, N_AIR, band.n);
+                    if (!dIn) continue;
+                    var exitHit = intersectRayHull(add(entryHit.point, mul(dIn, 0.1)), dIn, hull, entryHit.index);
+                    if (!exitHit) continue;
+
+                    // Internal beam - soft radial approach matching external beams
+                    painter.beam(entryHit.point, exitHit.point, band.color, 25 * dpr, band.opacity * 0.3 * globalAlpha * pulse, false);
+
+                    painter.flare(exitHit.point, band.color, 1.0, true, dpr);
+
+                    var dOut = refract2D(dIn, exitHit.normal, band.n, N_AIR);
+                    if (dOut) {
+                        traceSpectralRay(exitHit.point, dOut, band, currentQuality.maxBounces, globalAlpha);
+                    }
+                }
+
+                // Add soft rainbow fog overlay
+                var midBand = spectrum[Math.floor(spectrum.length / 2)]; // middle of spectrum
+                var dInMid = refract2D(rayDir, entryHit.normal, N_AIR, midBand.n);
+                if (dInMid) {
+                    var exitHitMid = intersectRayHull(add(entryHit.point, mul(dInMid, 0.1)), dInMid, hull, entryHit.index);
+                    if (exitHitMid) {
+                        var dOutMid = refract2D(dInMid, exitHitMid.normal, midBand.n, N_AIR);
+                        if (dOutMid) {
+                            painter.fog(exitHitMid.point, dOutMid, globalAlpha);
+                        }
+                    }
+                }
+            }
+
+            painter.endLight();
+
+            // 7. Draw Dust (volumetric)
+            for (var di = 0; di < dust.length; di++) {
+                dust[di].update(0, 0, frames);
+            }
+            painter.particles(dust, canvasWidth, canvasHeight, activeBeams);
+
+            frameCount++;
+            lastRefraction = useFaceRefraction ? 'faces' : 'hull';
+            lastBeams = activeBeams;
+        }
+        // --- Initialize ---
+        function init() {
+            console.log('%c✓ PrismScene initializing... (Quality: ' + currentTierName + ', ' + painter.backend + ')', 'color: #17f7f7; font-size: 12px;');
+
+            // Generate geometry
+            rebuildGeometry();
+
+            // Create noise texture
+            noisePattern = createNoiseTexture();
+
+            // Initial size, particles and pointer
+            self.resize(options.width, options.height, options.dpr);
+        }
+
+        // --- Inputs from the host ---
+
+        // Size in CSS pixels; the backing store is scaled by dpr
+        this.resize = function(newWidth, newHeight, newDpr) {
+            width = newWidth;
+            height = newHeight;
+            dpr = newDpr;
+
+            canvas.width = width * dpr;
+            canvas.height = height * dpr;
+
+            initializeParticles(width, height);
+            mouseX = width / 2;
+            mouseY = height / 2;
+            smoothMouseX = mouseX;
+            smoothMouseY = mouseY;
+            // Initialize spring positions
+            springX.pos = mouseX;
+            springY.pos = mouseY;
+            springX.vel = 0;
+            springY.vel = 0;
+        };
+
+        // Pointer position in CSS pixels relative to the canvas
+        this.setPointer = function(x, y) {
+            mouseX = x;
+            mouseY = y;
+        };
+
+        this.setVisible = function(visible) {
+            isPageVisible = visible;
+            if (isPageVisible) resumeMonitoring();
+            if (externalClock) return;
+
+            if (isPageVisible && isRunning && !animationFrameId) {
+                startLoop();
+            } else if (!isPageVisible && animationFrameId) {
+                cancelFrame(animationFrameId);
+                animationFrameId = null;
+            }
+        };
+
+        // --- Public API ---
+
+        this.start = function() {
+            if (isDestroyed || isRunning) return;
+            isRunning = true;
+            resumeMonitoring();
+            if (!externalClock && isPageVisible && !animationFrameId) {
+                startLoop();
+            }
+            console.log('%c✓ PrismScene animation started!', 'color: #17f7f7; font-size: 12px;');
+        };
+
+        this.stop = function() {
+            isRunning = false;
+            if (animationFrameId) {
+                cancelFrame(animationFrameId);
+                animationFrameId = null;
+            }
+        };
+
+        // One frame from the external clock
+        this.tick = function(dt) {
+            if (!isRunning || isDestroyed || painter.isLost()) return;
+            render(dt);
+        };
+
+        this.destroy = function() {
+            self.stop();
+            isDestroyed = true;
+            painter.destroy();
+            stars = [];
+            dust = [];
+        };
+
+        this.setQuality = function(tierName, reason) {
+            if (!QualityTier[tierName]) return;
+            var previous = currentTierName;
+            // An explicit choice overrides the adaptive controller
+            qualityController.pin(tierName);
+            applyQuality({ tier: tierName, previous: previous, reason: reason || 'manual' });
+        };
+
+        this.setAdaptiveQuality = function(enabled) {
+            qualityController.setAdaptive(enabled, performance.now());
+        };
+
+        this.setRefractionMode = function(mode) {
+            refractionMode = mode;
+        };
+
+        this.setSpectrum = function(bands) {
+            spectrum = bands;
+        };
+
+        this.setGeometry = function(source, newDisplacement) {
+            geometrySource = source || null;
+            if (newDisplacement !== undefined) displacement = newDisplacement;
+            rebuildGeometry();
+        };
+
+        this.setDisplacement = function(newDisplacement) {
+            displacement = newDisplacement;
+            rebuildGeometry();
+        };
+
+        // Current frame as a PNG blob
+        this.captureFrame = function() {
+            if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob();
+            return new Promise(function(resolve) { canvas.toBlob(resolve); });
+        };
+
+        // Plain-data snapshot of the inputs and the last frame (safe to post from a worker).
+        // refraction is the mode the last frame actually used; beamLength sums its light paths.
+        this.getStats = function() {
+            return {
+                frames: frameCount,
+                width: width,
+                height: height,
+                dpr: dpr,
+                pointer: { x: mouseX, y: mouseY },
+                visible: isPageVisible,
+                running: isRunning,
+                quality: currentTierName,
+                refraction: lastRefraction,
+                beams: lastBeams.length,
+                beamLength: lastBeams.reduce(function(sum, beam) {
+                    return sum + Math.hypot(beam.p2.x - beam.p1.x, beam.p2.y - beam.p1.y);
+                }, 0)
+            };
+        };
+
+        init();
+    }
+
+    // --- Render Worker ---
+    // The worker is built from this very module, so it shares every helper above.
+    // Host -> worker: init, call (renderer method + args), capture, stats.
+    // Worker -> host: ready (backend chosen), quality (tier changed), frame (captured blob),
+    // stats (getStats snapshot), unsupported.
+    var RENDERER_METHODS = [
+        'resize', 'setPointer', 'setVisible', 'start', 'stop', 'destroy',
+        'setQuality', 'setAdaptiveQuality', 'setRefractionMode', 'setSpectrum', 'setGeometry', 'setDisplacement'
+    ];
+    var workerUrl = null;
+
+    function canRenderInWorker(canvas) {
+        return typeof Worker === 'function' &&
+            typeof canvas.transferControlToOffscreen === 'function' &&
+            typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function';
+    }
+
+    function getWorkerUrl() {
+        if (!workerUrl) {
+            var source = '(' + definePrismScene.toString() + ')(self);';
+            workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        }
+        return workerUrl;
+    }
+
+    // Main-thread proxy with the same surface as PrismRenderer
+    function WorkerRenderer(canvas, options, handlers) {
+        var offscreen = canvas.transferControlToOffscreen();
+        var worker = new Worker(getWorkerUrl());
+        var pendingFrames = [];
+        var pendingStats = [];
+        var self = this;
+
+        this.supported = true;
+        this.backend = null; // Known once the worker reports ready
+
+        worker.onmessage = function(e) {
+            var msg = e.data;
+            if (msg.type === 'ready') {
+                self.backend = msg.backend;
+            } else if (msg.type === 'quality') {
+                handlers.onQualityChange(msg.change);
+            } else if (msg.type === 'frame') {
+                pendingFrames.shift()(msg.blob);
+            } else if (msg.type === 'stats') {
+                pendingStats.shift()(msg.stats);
+            } else if (msg.type === 'unsupported') {
+                handlers.onUnsupported();
+            }
+        };
+        worker.onerror = function(e) {
+            console.warn('PrismScene: Render worker failed - ' + (e.message || 'unknown error'));
+            handlers.onUnsupported();
+        };
+
+        worker.postMessage({ type: 'init', canvas: offscreen, options: options }, [offscreen]);
+
+        RENDERER_METHODS.forEach(function(method) {
+            self[method] = function() {
+                worker.postMessage({ type: 'call', method: method, args: Array.prototype.slice.call(arguments) });
+            };
+        });
+
+        this.destroy = function() {
+            worker.postMessage({ type: 'call', method: 'destroy', args: [] });
+            worker.terminate();
+            pendingFrames.forEach(function(resolve) { resolve(null); });
+            pendingFrames = [];
+            pendingStats.forEach(function(resolve) { resolve(null); });
+            pendingStats = [];
+        };
+
+        this.captureFrame = function() {
+            return new Promise(function(resolve) {
+                pendingFrames.push(resolve);
+                worker.postMessage({ type: 'capture' });
+            });
+        };
+
+        this.getStats = function() {
+            return new Promise(function(resolve) {
+                pendingStats.push(resolve);
+                worker.postMessage({ type: 'stats' });
+            });
+        };
+    }
+
+    // Worker side of the protocol
+    function listenForHostMessages(workerScope) {
+        var renderer = null;
+
+        workerScope.onmessage = function(e) {
+            var msg = e.data;
+            if (msg.type === 'init') {
+                msg.options.onQualityChange = function(change) {
+                    workerScope.postMessage({ type: 'quality', change: change });
+                };
+                renderer = new PrismRenderer(msg.canvas, msg.options);
+                if (!renderer.supported) {
+                    renderer = null;
+                    workerScope.postMessage({ type: 'unsupported' });
+                } else {
+                    workerScope.postMessage({ type: 'ready', backend: renderer.backend });
+                }
+            } else if (!renderer) {
+                return;
+            } else if (msg.type === 'call') {
+                renderer[msg.method].apply(renderer, msg.args);
+            } else if (msg.type === 'capture') {
+                renderer.captureFrame().then(function(blob) {
+                    workerScope.postMessage({ type: 'frame', blob: blob });
+                });
+            } else if (msg.type === 'stats') {
+                workerScope.postMessage({ type: 'stats', stats: renderer.getStats() });
+            }
+        };
+    }
+
+    // --- Band Colors ---
+    // Both painters take '#rrggbb'; any CSS color is resolved on the host through a
+    // 2D context's fillStyle, which reads back as hex (opaque) or rgba() (translucent).
+    var colorProbe = null;
+
+    function resolveBandColor(color) {
+        if (typeof color !== 'string') return null;
+        if (!colorProbe) colorProbe = document.createElement('canvas').getContext('2d');
+
+        // An unparseable color leaves fillStyle untouched, so two different priors expose it
+        colorProbe.fillStyle = '#000000';
+        colorProbe.fillStyle = color;
+        var resolved = colorProbe.fillStyle;
+        colorProbe.fillStyle = '#ffffff';
+        colorProbe.fillStyle = color;
+        if (colorProbe.fillStyle !== resolved) return null;
+
+        if (resolved.charAt(0) === '#') return { hex: resolved, alpha: 1 };
+        var parts = resolved.match(/[\d.]+/g).map(Number);
+        var hex = '#' + parts.slice(0, 3).map(function(v) {
+            return ('0' + Math.round(v).toString(16)).slice(-2);
+        }).join('');
+        return { hex: hex, alpha: parts.length > 3 ? parts[3] : 1 };
+    }
+
+    // --- Scene Host ---
+    // Each instance owns its canvas, state, listeners and render loop, so several
+    // scenes can run side by side. Options: quality, spectrum, scale, container,
+    // geometry (mesh object or OBJ text), displacement ({ seed, strength } or false),
+    // maxQuality (highest tier adaptive upgrades may reach; defaults to the starting
+    // tier), adaptive (false disables automatic tier changes), onQualityChange,
+    // refraction ('hull' or 'faces'; LOW/MINIMAL tiers always use the hull),
+    // renderer ('auto' prefers WebGL, '2d' forces the canvas renderer),
+    // worker (false keeps rendering on the main thread) and scheduler (defaults to
+    // the page's AnimationScheduler; null lets the scene run its own frame loop).
+    function PrismScene(canvas, options) {
+        if (!(this instanceof PrismScene)) return new PrismScene(canvas, options);
+        options = options || {};
+
+        var self = this;
+        var container = options.container || canvas.parentElement;
+        var currentTierName = QualityTier[options.quality] ? options.quality : detectQualityTier();
+        var isDestroyed = false;
+        var reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        var scheduler = options.scheduler !== undefined ? options.scheduler :
+            (typeof AnimationScheduler !== 'undefined' ? AnimationScheduler : null);
+        var schedulerTask = null;
+        var refractionMode = options.refraction === 'faces' ? 'faces' : 'hull';
+
+        // Touch state
+        var touchState = {
+            active: false,
+            identifier: null
+        };
+
+        this.canvas = canvas;
+
+        // Container size, clamped so a collapsed container never yields a 0x0 scene
+        function measureContainer() {
+            var rect = container.getBoundingClientRect();
+            return {
+                width: Math.max(320, Math.min(3840, rect.width)),
+                height: Math.max(480, Math.min(2160, rect.height)),
+                dpr: Math.min(window.devicePixelRatio || 1, 2)
+            };
+        }
+
+        // Initial size
+        var size = measureContainer();
+        var width = size.width;
+        var height = size.height;
+        var dpr = size.dpr;
+
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+
+        // A worker keeps its own frame loop so main-thread jank does not reach it
+        var useWorker = options.worker !== false && canRenderInWorker(canvas);
+
+        var rendererOptions = {
+            quality: currentTierName,
+            scale: options.scale,
+            refraction: options.refraction,
+            renderer: options.renderer,
+            maxQuality: QualityTier[options.maxQuality] ? options.maxQuality : currentTierName,
+            adaptive: options.adaptive !== false,
+            geometry: options.geometry || null,
+            displacement: options.displacement,
+            width: width,
+            height: height,
+            dpr: dpr,
+            // A worker runs its own loop, so it waits for the scheduler's gate to open
+            visible: useWorker && scheduler ? false : !document.hidden,
+            externalClock: !!scheduler && !useWorker
+        };
+
+        // Analytics can listen on the canvas or anywhere above it:
+        // document.addEventListener('qualitychange', function(e) { e.detail.tier; ... })
+        function handleQualityChange(change) {
+            currentTierName = change.tier;
+            if (options.onQualityChange) options.onQualityChange(change);
+            canvas.dispatchEvent(new CustomEvent('qualitychange', { bubbles: true, detail: change }));
+        }
+
+        function handleUnsupported() {
+            console.warn('PrismScene: Canvas rendering not supported, falling back to static gradient');
+            showFallbackBackground(container);
+        }
+
+        var renderer;
+        if (useWorker) {
+            renderer = new WorkerRenderer(canvas, rendererOptions, {
+                onQualityChange: handleQualityChange,
+                onUnsupported: handleUnsupported
+            });
+            this.mode = 'worker';
+        } else {
+            rendererOptions.onQualityChange = handleQualityChange;
+            renderer = new PrismRenderer(canvas, rendererOptions);
+            this.mode = 'main';
+        }
+
+        this.supported = renderer.supported;
+
+        if (!renderer.supported) {
+            handleUnsupported();
+            this.start = this.stop = this.destroy = function() {};
+            this.setQuality = this.setAdaptiveQuality = this.setSpectrum = this.setDisplacement = this.setRefractionMode = function() {};
+            this.setGeometry = function() { return false; };
+            this.loadGeometry = function() { return Promise.resolve(false); };
+            this.captureFrame = this.getStats = function() { return Promise.resolve(null); };
+            this.getQuality = this.getBackend = this.getRefractionMode = function() { return null; };
+            return;
+        }
+
+        // --- Resize Handler ---
+        var resizeTimeout = null;
+        function handleResize() {
+            if (resizeTimeout) clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(function() {
+                var size = measureContainer();
+                width = size.width;
+                height = size.height;
+                dpr = size.dpr;
+
+                canvas.style.width = width + 'px';
+                canvas.style.height = height + 'px';
+                renderer.resize(width, height, dpr);
+            }, 150);
+        }
+
+        // --- Mouse Handler ---
+        function handleMouseMove(e) {
+            var rect = canvas.getBoundingClientRect();
+            var padding = 20;
+            var x = e.clientX - rect.left;
+            var y = e.clientY - rect.top;
+            renderer.setPointer(
+                Math.max(padding, Math.min(rect.width - padding, x)),
+                Math.max(padding, Math.min(rect.height - padding, y))
+            );
+        }
+
+        // --- Touch Handlers ---
+        function handleTouchStart(e) {
+            if (touchState.active) return;
+            var touch = e.touches[0];
+            var rect = canvas.getBoundingClientRect();
+
+            touchState.active = true;
+            touchState.identifier = touch.identifier;
+            renderer.setPointer(touch.clientX - rect.left, touch.clientY - rect.top);
+        }
+
+        function handleTouchMove(e) {
+            if (!touchState.active) return;
+
+            for (var i = 0; i < e.changedTouches.length; i++) {
+                if (e.changedTouches[i].identifier === touchState.identifier) {
+                    var touch = e.changedTouches[i];
+                    var rect = canvas.getBoundingClientRect();
+                    var padding = 20;
+
+                    renderer.setPointer(
+                        Math.max(padding, Math.min(rect.width - padding, touch.clientX - rect.left)),
+                        Math.max(padding, Math.min(rect.height - padding, touch.clientY - rect.top))
+                    );
+
+                    e.preventDefault();
+                    break;
+                }
+            }
+        }
+
+        function handleTouchEnd(e) {
+            for (var i = 0; i < e.changedTouches.length; i++) {
+                if (e.changedTouches[i].identifier === touchState.identifier) {
+                    touchState.active = false;
+                    touchState.identifier = null;
+                    break;
+                }
+            }
+        }
+
+        // --- Visibility ---
+        // The scheduler gates on tab visibility and on the canvas being on screen (and
+        // drives frames on the main thread; a worker only hears start/stop);
+        // without one, the scene pauses with the tab only
+        function handleVisibilityChange() {
+            renderer.setVisible(!document.hidden);
+        }
+
+        if (scheduler) {
+            schedulerTask = scheduler.register('prism:' + (canvas.id || 'scene'), {
+                element: canvas,
+                priority: scheduler.PRIORITY.HIGH,
+                enabled: false,
+                tick: useWorker ? null : function(dt) { renderer.tick(dt); },
+                onStart: function() { renderer.setVisible(true); },
+                onStop: function() { renderer.setVisible(false); }
+            });
+        }
+
+        // --- Reduced Motion ---
+        function handleReducedMotionChange(e) {
+            if (e.matches) {
+                currentTierName = 'MINIMAL';
+                renderer.setQuality('MINIMAL', 'reduced-motion');
+            }
+        }
+
+        // Event listeners
+        window.addEventListener('resize', handleResize, false);
+        window.addEventListener('mousemove', handleMouseMove, false);
+        canvas.addEventListener('touchstart', handleTouchStart, { passive: true });
+        canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
+        canvas.addEventListener('touchend', handleTouchEnd, { passive: true });
+        canvas.addEventListener('touchcancel', handleTouchEnd, { passive: true });
+        if (!scheduler) document.addEventListener('visibilitychange', handleVisibilityChange, false);
+        reducedMotionQuery.addEventListener('change', handleReducedMotionChange);
+
+        // --- Public API ---
+
+        // Begin (or resume) the render loop
+        this.start = function() {
+            if (isDestroyed) return;
+            renderer.start();
+            if (schedulerTask) schedulerTask.enable();
+        };
+
+        // Pause the render loop, keeping the last frame on the canvas
+        this.stop = function() {
+            if (isDestroyed) return;
+            renderer.stop();
+            if (schedulerTask) schedulerTask.disable();
+        };
+
+        // Stop and release every listener (and the worker); the instance cannot be restarted
+        this.destroy = function() {
+            if (isDestroyed) return;
+            isDestroyed = true;
+            if (schedulerTask) schedulerTask.unregister();
+            renderer.destroy();
+            if (resizeTimeout) clearTimeout(resizeTimeout);
+            window.removeEventListener('resize', handleResize);
+            window.removeEventListener('mousemove', handleMouseMove);
+            canvas.removeEventListener('touchstart', handleTouchStart);
+            canvas.removeEventListener('touchmove', handleTouchMove);
+            canvas.removeEventListener('touchend', handleTouchEnd);
+            canvas.removeEventListener('touchcancel', handleTouchEnd);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            reducedMotionQuery.removeEventListener('change', handleReducedMotionChange);
+        };
+
+        // Switch to a named tier (HIGH, MEDIUM, LOW, MINIMAL); this pins the tier
+        // until setAdaptiveQuality(true) hands control back to the frame-time monitor
+        this.setQuality = function(tierName) {
+            if (!QualityTier[tierName]) {
+                console.warn('PrismScene: Unknown quality tier "' + tierName + '"');
+                return;
+            }
+            currentTierName = tierName;
+            renderer.setQuality(tierName);
+        };
+
+        this.setAdaptiveQuality = function(enabled) {
+            renderer.setAdaptiveQuality(enabled !== false);
+        };
+
+        this.getQuality = function() {
+            return currentTierName;
+        };
+
+        // 'webgl' or '2d'; null while a worker renderer is still starting up
+        this.getBackend = function() {
+            return renderer.backend || null;
+        };
+
+        // 'faces' traces rays through every rotated triangle; 'hull' refracts
+        // against the projected outline only
+        this.setRefractionMode = function(mode) {
+            if (mode !== 'faces' && mode !== 'hull') {
+                console.warn('PrismScene: Unknown refraction mode "' + mode + '"');
+                return;
+            }
+            refractionMode = mode;
+            renderer.setRefractionMode(mode);
+        };
+
+        // The requested mode; getStats().refraction reports what the last frame used
+        // (LOW/MINIMAL tiers fall back to the hull)
+        this.getRefractionMode = function() {
+            return refractionMode;
+        };
+
+        // Replace the refracted bands: [{ name, color, opacity, n }]
+        this.setSpectrum = function(bands) {
+            if (!Array.isArray(bands) || bands.length === 0) {
+                console.warn('PrismScene: setSpectrum expects a non-empty array of bands');
+                return;
+            }
+            var resolved = bands.map(function(band) { return resolveBandColor(band.color); });
+            for (var i = 0; i < bands.length; i++) {
+                if (!resolved[i]) {
+                    console.warn('PrismScene: Band color "' + bands[i].color + '" is not a valid CSS color');
+                    return;
+                }
+            }
+            // Translucent colors fold their alpha into the band opacity
+            renderer.setSpectrum(bands.map(function(band, i) {
+                return {
+                    name: band.name || '',
+                    color: resolved[i].hex,
+                    opacity: (band.opacity !== undefined ? band.opacity : 0.8) * resolved[i].alpha,
+                    n: band.n
+                };
+            }));
+        };
+
+        // Swap the refracting mesh; pass null to return to the built-in icosahedron.
+        // Returns false (and keeps the current mesh) if the source is invalid.
+        this.setGeometry = function(source, newDisplacement) {
+            if (source) {
+                try {
+                    normalizeMesh(source);
+                } catch (err) {
+                    console.warn(err.message);
+                    return false;
+                }
+            }
+            renderer.setGeometry(source || null, newDisplacement);
+            return true;
+        };
+
+        // { seed, strength } to reshape the procedural noise, or false to disable it
+        this.setDisplacement = function(newDisplacement) {
+            renderer.setDisplacement(newDisplacement);
+        };
+
+        // Fetch a .obj or .json mesh and apply it once loaded
+        this.loadGeometry = function(url, newDisplacement) {
+            return loadGeometry(url).then(function(mesh) {
+                if (isDestroyed) return false;
+                return self.setGeometry(mesh, newDisplacement);
+            });
+        };
+
+        // Resolves with a PNG blob of the current frame (works for worker-rendered canvases too)
+        this.captureFrame = function() {
+            return renderer.captureFrame();
+        };
+
+        // Resolves with the renderer's getStats() snapshot: frames drawn, size, pointer,
+        // visibility and what the last frame refracted (round-trips through a worker)
+        this.getStats = function() {
+            return Promise.resolve(renderer.getStats());
+        };
+
+        if (options.spectrum) this.setSpectrum(options.spectrum);
+    }
+
+    PrismScene.QualityTier = QualityTier;
+    PrismScene.DEFAULT_SPECTRUM = DEFAULT_SPECTRUM;
+    PrismScene.parseOBJ = parseOBJ;
+    PrismScene.loadGeometry = loadGeometry;
+
+    if (typeof WorkerGlobalScope !== 'undefined' && scope instanceof WorkerGlobalScope) {
+        listenForHostMessages(scope);
+    }
+
+    return PrismScene;
+})(self);
+
+// Mount the hero scene
+(function initPrismScene() {
+    var canvas = document.getElementById('prism-canvas');
+    if (!canvas) {
+        console.warn('PrismScene: Canvas element #prism-canvas not found');
+        return;
+    }
+
+    // Renders in a worker where OffscreenCanvas is supported; data-worker="false" keeps it on the main thread
+    // data-renderer="2d" skips the WebGL backend
+    var heroScene = new PrismScene(canvas, {
+        refraction: canvas.dataset.refraction,
+        renderer: canvas.dataset.renderer,
+        worker: canvas.dataset.worker !== 'false'
+    });
+    heroScene.start();
+
+    // Pages can swap in their own mesh: <canvas id="prism-canvas" data-geometry-src="brand.obj">
+    if (canvas.dataset.geometrySrc) {
+        heroScene.loadGeometry(canvas.dataset.geometrySrc).catch(function(err) {
+            console.warn(err.message);
+        });
+    }
+
+    // Cleanup on page unload
+    window.addEventListener('beforeunload', function() {
+        heroScene.destroy();
+    });
+
+    window.heroPrismScene = heroScene;
+})();
+
+// ========================================
 // KINETIC GRID - Footer Background
 // ========================================
 (function initKineticGrid() {
@@ -2712,8 +4755,6 @@ document.addEventListener('DOMContentLoaded', () => {
     let cols = 1;
     let rows = 1;
     let mouse = { x: -1000, y: -1000 };
-    let animationId = null;
-    let isAnimating = false;
 
     // Resize canvas
     function resize() {
@@ -2810,29 +4851,14 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    // Animation loop
-    function animate() {
-        if (!isAnimating) return;
-        updatePhysics();
-        draw();
-        animationId = requestAnimationFrame(animate);
-    }
-
-    // Start animation
-    function startAnimation() {
-        if (!isAnimating) {
-            isAnimating = true;
-            animate();
-        }
-    }
-
-    // Stop animation
-    function stopAnimation() {
-        isAnimating = false;
-        if (animationId) {
-            cancelAnimationFrame(animationId);
-            animationId = null;
+    // Animation tick - the spring physics is tuned per 60fps step, so run
+    // as many steps as the elapsed time covers (at least one, at most four)
+    function tick(dt) {
+        const steps = Math.min(4, Math.max(1, Math.round(dt * 60)));
+        for (let i = 0; i < steps; i++) {
+            updatePhysics();
         }
+        draw();
     }
 
     // Mouse tracking (relative to footer)
@@ -2842,137 +4868,779 @@ document.addEventListener('DOMContentLoaded', () => {
         mouse.y = e.clientY - rect.top;
     });
 
-    footer.addEventListener('mouseleave', () => {
-        mouse.x = -1000;
-        mouse.y = -1000;
-    });
+    footer.addEventListener('mouseleave', () => {
+        mouse.x = -1000;
+        mouse.y = -1000;
+    });
+
+    // Initialize
+    resize();
+    window.addEventListener('resize', resize);
+
+    // Animate only when footer is visible
+    AnimationScheduler.register('kinetic-grid', {
+        element: footer,
+        priority: AnimationScheduler.PRIORITY.LOW,
+        tick
+    });
+
+    console.log('%c✓ Kinetic Grid initialized!', 'color: #17f7f7; font-size: 12px;');
+})();
+
+// ========================================
+// INTERACTIVE PROJECT VISUALIZATIONS
+// ========================================
+
+// Shared Isometric Utilities
+const ISO = {
+    angle: Math.PI / 6, // 30 degrees
+
+    // Project 3D point to 2D isometric view
+    project(x, y, z, centerX, centerY, scale = 1) {
+        const isoX = (x - z) * Math.cos(this.angle) * scale;
+        const isoY = (x + z) * Math.sin(this.angle) * scale - y * scale;
+        return {
+            x: centerX + isoX,
+            y: centerY + isoY
+        };
+    },
+
+    // Rotate point around Y axis
+    rotateY(x, y, z, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return {
+            x: x * cos - z * sin,
+            y: y,
+            z: x * sin + z * cos
+        };
+    },
+
+    // Rotate point around X axis
+    rotateX(x, y, z, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return {
+            x: x,
+            y: y * cos - z * sin,
+            z: y * sin + z * cos
+        };
+    }
+};
+
+// Isometric scene graph on ISO.project. Groups carry an offset and a Y rotation;
+// shapes are footprints (polygons on the x/z plane) extruded up from y, so a box
+// is just a rectangular footprint. Shapes are drawn back to front and the last
+// frame's faces are kept for hover picking.
+const IsoScene = (() => {
+    // Toward the viewer: ISO.project maps (1, 1, 1) onto a single screen point
+    const depthOf = (p) => p.x + p.y + p.z;
+
+    function group(options = {}) {
+        return {
+            x: options.x || 0,
+            y: options.y || 0,
+            z: options.z || 0,
+            rotation: options.rotation || 0,
+            children: [],
+
+            add(node) {
+                this.children.push(node);
+                return node;
+            },
+            group(opts) {
+                return this.add(group(opts));
+            },
+            // { x, y, z (min corner), width (x), depth (z), height (y), ...style }
+            box(opts) {
+                const { x = 0, z = 0, width, depth } = opts;
+                return this.add(shape([[x, z], [x + width, z], [x + width, z + depth], [x, z + depth]], opts));
+            },
+            // { points: [[x, z], ...], y, height, ...style }
+            extrude(opts) {
+                return this.add(shape(opts.points, opts));
+            }
+        };
+    }
+
+    // Style: color [r, g, b], alpha, stroke (CSS color or null), lineWidth; data is free for the caller
+    function shape(points, opts) {
+        return {
+            footprint: points,
+            y: opts.y || 0,
+            height: opts.height || 0,
+            color: opts.color || [23, 247, 247],
+            alpha: opts.alpha !== undefined ? opts.alpha : 0.3,
+            stroke: opts.stroke !== undefined ? opts.stroke : 'rgba(23, 247, 247, 0.6)',
+            lineWidth: opts.lineWidth || 1,
+            visible: opts.visible !== false,
+            data: opts.data || null
+        };
+    }
+
+    // Flatten the graph into world-space prisms
+    function collect(node, toWorld, out) {
+        node.children.forEach(child => {
+            if (child.children) {
+                const childToWorld = (x, y, z) => {
+                    const r = ISO.rotateY(x, y, z, child.rotation);
+                    return toWorld(r.x + child.x, r.y + child.y, r.z + child.z);
+                };
+                collect(child, childToWorld, out);
+            } else if (child.visible) {
+                const bottom = child.footprint.map(([x, z]) => toWorld(x, child.y, z));
+                const top = child.footprint.map(([x, z]) => toWorld(x, child.y + child.height, z));
+                out.push({ shape: child, bottom, top });
+            }
+        });
+        return out;
+    }
+
+    // Faces that can be seen from the isometric camera, each with its own depth and shade
+    function visibleFaces({ bottom, top }) {
+        let area = 0;
+        for (let i = 0; i < bottom.length; i++) {
+            const a = bottom[i];
+            const b = bottom[(i + 1) % bottom.length];
+            area += a.x * b.z - b.x * a.z;
+        }
+
+        const faces = [];
+        for (let i = 0; i < bottom.length; i++) {
+            const j = (i + 1) % bottom.length;
+            const ex = bottom[j].x - bottom[i].x;
+            const ez = bottom[j].z - bottom[i].z;
+            const nx = area > 0 ? ez : -ez;
+            const nz = area > 0 ? -ex : ex;
+            if (nx + nz <= 0) continue;
+            const corners = [bottom[i], bottom[j], top[j], top[i]];
+            const length = Math.hypot(nx, nz);
+            faces.push({
+                corners,
+                depth: corners.reduce((sum, p) => sum + depthOf(p), 0) / 4,
+                shade: 0.45 + 0.3 * Math.max(0, nx / length)  // lit from +x
+            });
+        }
+        faces.sort((a, b) => a.depth - b.depth);
+        faces.push({ corners: top, shade: 1 });
+        return faces;
+    }
+
+    // a is entirely on the far side of b along some axis
+    function behind(a, b) {
+        const EPS = 1e-6;
+        return a.max.x <= b.min.x + EPS || a.max.z <= b.min.z + EPS || a.max.y <= b.min.y + EPS;
+    }
+
+    // Painter's order: a prism is drawn after everything behind it; centroid depth breaks ties and cycles
+    function order(prisms) {
+        prisms.forEach(prism => {
+            const points = prism.bottom.concat(prism.top);
+            prism.depth = points.reduce((sum, p) => sum + depthOf(p), 0) / points.length;
+            prism.min = { x: Infinity, y: Infinity, z: Infinity };
+            prism.max = { x: -Infinity, y: -Infinity, z: -Infinity };
+            points.forEach(p => {
+                ['x', 'y', 'z'].forEach(axis => {
+                    prism.min[axis] = Math.min(prism.min[axis], p[axis]);
+                    prism.max[axis] = Math.max(prism.max[axis], p[axis]);
+                });
+            });
+        });
+        prisms.sort((a, b) => a.depth - b.depth);
+
+        const sorted = [];
+        const visited = new Set();
+        const visit = (prism) => {
+            if (visited.has(prism)) return;
+            visited.add(prism);
+            prisms.forEach(other => {
+                if (other !== prism && behind(other, prism) && !behind(prism, other)) visit(other);
+            });
+            sorted.push(prism);
+        };
+        prisms.forEach(visit);
+        return sorted;
+    }
+
+    function insidePolygon(px, py, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > py) !== (b.y > py) && px < ((b.x - a.x) * (py - a.y)) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    function create() {
+        const root = group();
+        let drawn = [];   // { shape, polygons } of the last draw, back to front
+
+        return {
+            root,
+            group: (opts) => root.group(opts),
+            box: (opts) => root.box(opts),
+            extrude: (opts) => root.extrude(opts),
+
+            // view: { centerX, centerY, scale }
+            draw(ctx, view) {
+                const prisms = order(collect(root, (x, y, z) => ({ x, y, z }), []));
+
+                drawn = prisms.map(prism => {
+                    const { shape: s } = prism;
+                    const [r, g, b] = s.color;
+                    const polygons = visibleFaces(prism).map(face => {
+                        const polygon = face.corners.map(p => ISO.project(p.x, p.y, p.z, view.centerX, view.centerY, view.scale));
+                        ctx.beginPath();
+                        polygon.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+                        ctx.closePath();
+                        ctx.fillStyle = `rgba(${Math.round(r * face.shade)}, ${Math.round(g * face.shade)}, ${Math.round(b * face.shade)}, ${s.alpha})`;
+                        ctx.fill();
+                        if (s.stroke) {
+                            ctx.strokeStyle = s.stroke;
+                            ctx.lineWidth = s.lineWidth;
+                            ctx.stroke();
+                        }
+                        return polygon;
+                    });
+                    return { shape: s, polygons };
+                });
+            },
+
+            // Frontmost shape under a screen point in the last draw, or null
+            pick(x, y) {
+                for (let i = drawn.length - 1; i >= 0; i--) {
+                    if (drawn[i].polygons.some(polygon => insidePolygon(x, y, polygon))) return drawn[i].shape;
+                }
+                return null;
+            },
+
+            // Screen polygons of a shape in the last draw
+            facesOf(target) {
+                const entry = drawn.find(d => d.shape === target);
+                return entry ? entry.polygons : [];
+            }
+        };
+    }
+
+    return { create };
+})();
+
+// Shared clock for the project visualizations. Wall-clock time from the
+// AnimationScheduler is fed through a fixed-step accumulator, so the state after
+// t seconds is the same at 30, 60 or 120Hz, and seek(t) can replay it exactly.
+const VizTimeline = (() => {
+    const STEP = 1 / 60;          // seconds per simulation step
+    const MAX_CATCH_UP = 0.25;    // seconds simulated per frame at most (tab resume, long stalls)
+    const timelines = {};
 
-    // Initialize
-    resize();
-    window.addEventListener('resize', resize);
+    // options: canvas, reset() (back to t = 0), step(dt) (advance one STEP), render()
+    function create(name, options) {
+        let time = 0;
+        let accumulator = 0;
+
+        function advance(dt) {
+            accumulator += dt;
+            while (accumulator >= STEP) {
+                options.step(STEP);
+                time += STEP;
+                accumulator -= STEP;
+            }
+        }
 
-    // Start animation only when footer is visible
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                startAnimation();
-            } else {
-                stopAnimation();
+        const task = AnimationScheduler.register(`viz:${name}`, {
+            element: options.canvas,
+            priority: AnimationScheduler.PRIORITY.NORMAL,
+            tick: (dt) => {
+                advance(Math.min(dt, MAX_CATCH_UP));
+                options.render();
             }
         });
-    }, { threshold: 0.1 });
 
-    observer.observe(footer);
+        const timeline = {
+            get time() { return time; },
+
+            // Freeze the visualization at exactly t seconds (for screenshots and tests)
+            seek(t) {
+                task.disable();
+                options.reset();
+                time = 0;
+                accumulator = 0;
+                const steps = Math.round(Math.max(0, t) / STEP);
+                for (let i = 0; i < steps; i++) {
+                    options.step(STEP);
+                }
+                time = steps * STEP;
+                options.render();
+            },
+
+            play() { task.enable(); },
+            pause() { task.disable(); },
 
-    console.log('%c✓ Kinetic Grid initialized!', 'color: #17f7f7; font-size: 12px;');
+            destroy() {
+                task.unregister();
+                delete timelines[name];
+            }
+        };
+
+        options.reset();
+        timelines[name] = timeline;
+        return timeline;
+    }
+
+    return {
+        STEP,
+        create,
+        get: (name) => timelines[name]
+    };
 })();
 
+// Seeded PRNG (mulberry32) so replays and seeks see the same "random" events
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 // ========================================
-// INTERACTIVE PROJECT VISUALIZATIONS
+// VISUALIZATION REGISTRY
+// A visualization is defined once and mounted on every canvas[data-viz="name"].
+// The registry sizes the canvas for the device pixel ratio (and again on window
+// resize), drives it through a VizTimeline and tears it down on unmount.
 // ========================================
+const VizRegistry = (() => {
+    const definitions = {};
+    const mounted = new Map();     // canvas -> { viz, hooks, controller }
 
-// Shared Isometric Utilities
-const ISO = {
-    angle: Math.PI / 6, // 30 degrees
+    function measure(viz) {
+        const rect = viz.canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        viz.canvas.width = rect.width * dpr;
+        viz.canvas.height = rect.height * dpr;
+        viz.ctx.scale(dpr, dpr);
+        viz.width = rect.width;
+        viz.height = rect.height;
+        viz.scale = Math.min(rect.width, rect.height) / 400;
+    }
 
-    // Project 3D point to 2D isometric view
-    project(x, y, z, centerX, centerY, scale = 1) {
-        const isoX = (x - z) * Math.cos(this.angle) * scale;
-        const isoY = (x + z) * Math.sin(this.angle) * scale - y * scale;
-        return {
-            x: centerX + isoX,
-            y: centerY + isoY
-        };
-    },
+    // The first canvas of a kind gets the plain timeline name, later ones name-2, name-3...
+    function timelineName(name) {
+        let id = name;
+        for (let n = 2; VizTimeline.get(id); n++) id = `${name}-${n}`;
+        return id;
+    }
 
-    // Rotate point around Y axis
-    rotateY(x, y, z, angle) {
-        const cos = Math.cos(angle);
-        const sin = Math.sin(angle);
-        return {
-            x: x * cos - z * sin,
-            y: y,
-            z: x * sin + z * cos
-        };
-    },
+    // setup(viz) runs once per canvas and returns its hooks: draw() (required),
+    // reset() and step(dt) for time-based state, resize() after the canvas is
+    // re-measured, teardown() on unmount.
+    // viz: { name, canvas, ctx, width, height, scale, timeline, signal, api }. Listeners
+    // added with { signal: viz.signal } are removed on unmount; setup puts the
+    // canvas's public methods on viz.api.
+    // options.global names a window property that points at the api of the first
+    // mounted canvas of this kind (cleared when none is left).
+    function define(name, setup, options = {}) {
+        definitions[name] = { setup, global: options.global || null };
+        document.querySelectorAll(`canvas[data-viz="${name}"]`).forEach(mount);
+    }
 
-    // Rotate point around X axis
-    rotateX(x, y, z, angle) {
-        const cos = Math.cos(angle);
-        const sin = Math.sin(angle);
-        return {
-            x: x,
-            y: y * cos - z * sin,
-            z: y * sin + z * cos
+    function publish(name) {
+        const global = definitions[name] && definitions[name].global;
+        if (!global) return;
+        const first = Array.from(mounted.values()).find(({ viz }) => viz.name === name && viz.api);
+        if (first) {
+            window[global] = first.viz.api;
+        } else {
+            delete window[global];
+        }
+    }
+
+    function mount(canvas) {
+        if (mounted.has(canvas)) return mounted.get(canvas).viz;
+        const name = canvas.dataset.viz;
+        const definition = definitions[name];
+        if (!definition) {
+            console.warn(`VizRegistry: No visualization named "${name}"`);
+            return null;
+        }
+
+        const controller = new AbortController();
+        const viz = {
+            name,
+            canvas,
+            ctx: canvas.getContext('2d'),
+            width: 0,
+            height: 0,
+            scale: 1,
+            timeline: null,
+            signal: controller.signal,
+            api: null
         };
+        measure(viz);
+
+        // The timeline exists before setup so the visualization can seek and play from it
+        let hooks = {};
+        viz.timeline = VizTimeline.create(timelineName(name), {
+            canvas,
+            reset: () => hooks.reset && hooks.reset(),
+            step: (dt) => hooks.step && hooks.step(dt),
+            render: () => hooks.draw && hooks.draw()
+        });
+        hooks = definition.setup(viz) || {};
+        if (hooks.reset) hooks.reset();
+
+        mounted.set(canvas, { viz, hooks, controller });
+        publish(name);
+        return viz;
     }
-};
+
+    function unmount(canvas) {
+        const entry = mounted.get(canvas);
+        if (!entry) return;
+        mounted.delete(canvas);
+        entry.controller.abort();
+        if (entry.hooks.teardown) entry.hooks.teardown();
+        entry.viz.timeline.destroy();
+        publish(entry.viz.name);
+    }
+
+    window.addEventListener('resize', () => {
+        mounted.forEach(({ viz, hooks }) => {
+            measure(viz);
+            if (hooks.resize) hooks.resize();
+            // Resizing clears the canvas; repaint in case the timeline is paused
+            if (hooks.draw) hooks.draw();
+        });
+    });
+
+    return {
+        define,
+        mount,
+        unmount,
+        // Mount canvases added to the page after load
+        mountAll: (root = document) => root.querySelectorAll('canvas[data-viz]').forEach(mount),
+        // The mounted viz (with its api) for a canvas
+        get: (canvas) => (mounted.has(canvas) ? mounted.get(canvas).viz : null)
+    };
+})();
 
 // ========================================
 // VISUALIZATION 1: BOQ Auto-Generation
 // Shows AI scanning blueprints and auto-calculating quantities
 // ========================================
-(function initBOQGenerator() {
-    const canvas = document.getElementById('viz-bill-boq');
-    if (!canvas) return;
-
-    const ctx = canvas.getContext('2d');
+VizRegistry.define('boq', (viz) => {
+    const { canvas, ctx, timeline } = viz;
     let width, height, scale;
     let time = 0;
-    let animationId = null;
-    let isAnimating = false;
 
     const PADDING = 20;
 
-    // BOQ Line items that will be "calculated"
-    const boqItems = [
-        { item: 'Concrete M25', qty: 0, targetQty: 245, unit: 'm³', rate: 4500, delay: 0 },
-        { item: 'Steel TMT 500D', qty: 0, targetQty: 18.5, unit: 'MT', rate: 65000, delay: 0.8 },
-        { item: 'Brickwork', qty: 0, targetQty: 1820, unit: 'm²', rate: 850, delay: 1.6 },
-        { item: 'Plastering', qty: 0, targetQty: 3640, unit: 'm²', rate: 280, delay: 2.4 },
-        { item: 'Flooring', qty: 0, targetQty: 890, unit: 'm²', rate: 1200, delay: 3.2 },
-        { item: 'Electrical', qty: 0, targetQty: 156, unit: 'pts', rate: 2800, delay: 4.0 }
+    // Default bill of quantities, used until (or unless) a document is loaded.
+    // Pages can supply their own: <canvas data-boq-src="estimate.json"> or an inline
+    // <script type="application/json"> next to the canvas, shaped like
+    // { "items": [{ "item", "qty", "unit", "rate", "group"? }], "currency"?, "rates"? } or just the items array.
+    // Items may also carry their derivation for the explorer panel: "drawing", "dimensions", "rateSource",
+    // and the part of the building they measure: "element" (slabs, frame, walls, floors or services).
+    const DEFAULT_BOQ = [
+        { item: 'Concrete M25', qty: 245, unit: 'm³', rate: 4500, element: 'slabs', drawing: 'S-101 Foundation & slab plan', dimensions: '4 slabs × 12.5 × 9.8 m × 0.15 m + footings & beams', rateSource: 'CPWD DSR 2023 · 5.2.2' },
+        { item: 'Steel TMT 500D', qty: 18.5, unit: 'MT', rate: 65000, element: 'frame', drawing: 'S-201 Reinforcement schedule', dimensions: '75.5 kg/m³ on 245 m³ of concrete', rateSource: 'Supplier quote, Mar 2024' },
+        { item: 'Brickwork', qty: 1820, unit: 'm²', rate: 850, element: 'walls', drawing: 'A-102 Floor plans', dimensions: '4 floors × 182 m running × 3.0 m − openings', rateSource: 'CPWD DSR 2023 · 6.1.1' },
+        { item: 'Plastering', qty: 3640, unit: 'm²', rate: 280, element: 'walls', drawing: 'A-102 Floor plans', dimensions: 'Brickwork area × 2 faces', rateSource: 'CPWD DSR 2023 · 13.1.1' },
+        { item: 'Flooring', qty: 890, unit: 'm²', rate: 1200, element: 'floors', drawing: 'A-301 Finishes schedule', dimensions: '4 floors × 245 m² − wet areas', rateSource: 'Vendor catalogue rate' },
+        { item: 'Electrical', qty: 156, unit: 'pts', rate: 2800, element: 'services', drawing: 'E-101 Electrical layout', dimensions: '39 points per floor × 4 floors', rateSource: 'Contractor benchmark, 2024' }
+    ];
+
+    // Static conversion rates, units of each currency per 1 INR. A document can
+    // override them with its own "rates" table (same shape, relative to INR).
+    const CURRENCY_RATES = {
+        INR: 1,
+        USD: 0.012,
+        EUR: 0.011,
+        GBP: 0.0095,
+        AED: 0.044,
+        SGD: 0.016
+    };
+
+    // Presets cycled by the on-canvas currency control. en-IN groups in lakh/crore,
+    // the others in thousand/million.
+    const CURRENCY_PRESETS = [
+        { currency: 'INR', locale: 'en-IN' },
+        { currency: 'USD', locale: 'en-US' },
+        { currency: 'EUR', locale: 'de-DE' },
+        { currency: 'GBP', locale: 'en-GB' },
+        { currency: 'AED', locale: 'en-AE' },
+        { currency: 'SGD', locale: 'en-SG' }
     ];
 
+    let baseCurrency = 'INR';          // currency the bill's rates are written in
+    let rates = CURRENCY_RATES;
+    let display = null;                // { currency, locale, rate, compact, small, exact }
+    let currencyButton = null;         // on-canvas control bounds
+
+    // Explorer mode: hovering or focusing the canvas holds the animation so rows can be
+    // inspected; clicking a row (or arrows + Enter) opens its breakdown. data-boq-interactive="false" opts out.
+    const interactive = canvas.dataset.boqInteractive !== 'false';
+    let rowHitAreas = [];              // item rows drawn this frame: { y, h, item }
+    let currentPage = 0;
+    let hoveredItem = null;
+    let selectedItem = null;
+    let pointerInside = false;
+    let hasFocus = false;
+    let detailPanel = null;
+
+    // Line items that will be "calculated", plus group headings, split into pages
+    let boqItems = [];
+    let pages = [];
+    let rowsPerPage = 0;
+
     // Scanning beam position
     let scanY = 0;
     let cycleTime = 0;
-    const CYCLE_DURATION = 6; // seconds per full cycle
+    const CYCLE_DURATION = 6; // seconds per full cycle (one page per cycle)
+    const MIN_ROWS = 6;       // short bills keep the original row height
+    const ITEM_STAGGER = 0.8; // seconds between rows, squeezed to fit long pages
+    const STATUS_HEIGHT = 25; // Space for "AI SCANNING..." at bottom
+
+    // The building being measured, drawn isometrically under the table: four floors of
+    // 12.5 × 9.8 m with the top storey still open. Parts light up as the rows measuring
+    // their element are calculated.
+    const BUILDING = { width: 12.5, depth: 9.8, floors: 4, storey: 3 };
+    const BUILDING_SHARE = 0.38;       // of the space between the padding and the status line
+    const building = IsoScene.create();
+    const buildingSway = building.group();
+    const buildingParts = [];
+    let buildingView = null;           // { centerX, centerY, scale } of the last draw
+
+    (function buildModel() {
+        const { width: w, depth: d, floors, storey } = BUILDING;
+        const frame = buildingSway.group({ x: -w / 2, z: -d / 2 }); // rotate about the middle
+        const part = (element, opts) => buildingParts.push(frame.box({ ...opts, data: { element } }));
+        const inset = 0.2;
+
+        for (let floor = 0; floor < floors; floor++) {
+            const y = floor * storey + 0.3;
+            const h = storey - 0.3;
+            part('slabs', { y: y - 0.3, width: w, depth: d, height: 0.3 });
+
+            if (floor < floors - 1) {
+                // The two street-facing walls as one L-shaped extrusion, set back behind the columns
+                buildingParts.push(frame.extrude({
+                    points: [[0, d - inset - 0.25], [w - inset - 0.25, d - inset - 0.25], [w - inset - 0.25, 0],
+                        [w - inset, 0], [w - inset, d - inset], [0, d - inset]],
+                    y,
+                    height: h,
+                    data: { element: 'walls' }
+                }));
+            } else {
+                part('floors', { x: 0.4, y, z: 0.4, width: w - 0.8, depth: d - 0.8, height: 0.08 });
+            }
+
+            [0, w / 2 - 0.2, w - 0.4].forEach(x => part('frame', { x, y, z: d - 0.4, width: 0.4, depth: 0.4, height: h }));
+            [0, d / 2 - 0.2].forEach(z => part('frame', { x: w - 0.4, y, z, width: 0.4, depth: 0.4, height: h }));
+        }
+
+        const roof = floors * storey;
+        part('slabs', { y: roof, width: w, depth: d, height: 0.3 });
+        part('floors', { x: 0.3, y: roof + 0.3, z: 0.3, width: w - 0.6, depth: d - 0.6, height: 0.06 });
+        part('services', { x: 1, y: roof + 0.36, z: 1, width: 3, depth: 2.4, height: 1.6 });
+    })();
 
     function resize() {
-        const rect = canvas.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
-        canvas.width = rect.width * dpr;
-        canvas.height = rect.height * dpr;
-        ctx.scale(dpr, dpr);
-        width = rect.width;
-        height = rect.height;
-        scale = Math.min(width, height) / 400;
+        ({ width, height, scale } = viz);
+        if (boqItems.length) paginate();
+    }
+
+    // Turn a BOQ document into validated line items; bad rows are skipped with a warning
+    function normalizeDocument(doc) {
+        const rows = Array.isArray(doc) ? doc : (doc && doc.items);
+        if (!Array.isArray(rows)) throw new Error('BOQ: Document has no items array');
+
+        const items = [];
+        rows.forEach((row, i) => {
+            const qty = Number(row && row.qty);
+            const rate = Number(row && row.rate);
+            if (!row || typeof row.item !== 'string' || !isFinite(qty) || !isFinite(rate) || qty < 0 || rate < 0) {
+                console.warn(`BOQ: Skipping invalid row ${i + 1}`);
+                return;
+            }
+            items.push({
+                item: row.item,
+                targetQty: qty,
+                unit: row.unit ? String(row.unit) : '',
+                rate,
+                group: row.group ? String(row.group) : null,
+                drawing: row.drawing ? String(row.drawing) : null,
+                dimensions: Array.isArray(row.dimensions) ? row.dimensions.join(', ') : (row.dimensions ? String(row.dimensions) : null),
+                rateSource: row.rateSource ? String(row.rateSource) : null,
+                element: row.element ? String(row.element) : null
+            });
+        });
+        if (!items.length) throw new Error('BOQ: Document has no valid items');
+        return items;
     }
 
-    function formatCurrency(num) {
-        if (num >= 100000) return '₹' + (num / 100000).toFixed(1) + 'L';
-        if (num >= 1000) return '₹' + (num / 1000).toFixed(1) + 'K';
-        return '₹' + num.toFixed(0);
+    // Display rows are the items with a heading wherever the group changes
+    function buildRows(items) {
+        const rows = [];
+        let group = null;
+        items.forEach(item => {
+            if (item.group && item.group !== group) {
+                rows.push({ heading: item.group });
+            }
+            group = item.group;
+            rows.push(item);
+        });
+        return rows;
+    }
+
+    function paginate() {
+        const rows = buildRows(boqItems);
+        const availableHeight = tableAreaHeight();
+        const minRowHeight = 14 + 8 * scale;
+        const fit = Math.max(1, Math.floor(availableHeight / minRowHeight) - 2); // minus header and total
+
+        rowsPerPage = Math.min(rows.length, fit);
+        pages = [];
+        let start = 0;
+        while (start < rows.length) {
+            let end = Math.min(rows.length, start + rowsPerPage);
+            // A heading never ends a page on its own
+            if (end < rows.length && rows[end - 1].heading && end - 1 > start) end--;
+            pages.push(rows.slice(start, end));
+            start = end;
+        }
+    }
+
+    // The table gets the top of the canvas, the building the rest above the status line
+    function tableAreaHeight() {
+        return (height - PADDING * 2 - STATUS_HEIGHT) * (1 - BUILDING_SHARE);
+    }
+
+    function setItems(items) {
+        boqItems = items;
+        paginate();
+        hoveredItem = null;
+        if (detailPanel) closeDetail();
+    }
+
+    function applyDocument(doc) {
+        const items = normalizeDocument(doc);
+        const currency = (doc && typeof doc.currency === 'string') ? doc.currency.toUpperCase() : 'INR';
+        if (!/^[A-Z]{3}$/.test(currency)) throw new Error(`BOQ: Invalid currency ${currency}`);
+
+        baseCurrency = currency;
+        rates = Object.assign({}, CURRENCY_RATES, doc && doc.rates);
+        setItems(items);
+        // Keep the visitor's display currency if the new bill can be converted to it
+        if (!display || !canConvert(display.currency) || !setCurrency(display.currency, display.locale)) {
+            setCurrency(baseCurrency);
+        }
+    }
+
+    function canConvert(currency) {
+        return currency === baseCurrency || Boolean(rates[currency] && rates[baseCurrency]);
+    }
+
+    // Show amounts in another currency/locale. Returns false if there is no rate for it.
+    function setCurrency(currency, locale) {
+        currency = String(currency).toUpperCase();
+        const preset = CURRENCY_PRESETS.find(p => p.currency === currency);
+        locale = locale || (preset ? preset.locale : 'en-US');
+
+        if (!canConvert(currency)) {
+            console.warn(`BOQ: No conversion rate for ${currency}`);
+            return false;
+        }
+
+        let compact, small, exact;
+        try {
+            const options = { style: 'currency', currency, notation: 'compact' };
+            compact = new Intl.NumberFormat(locale, Object.assign({ minimumFractionDigits: 1, maximumFractionDigits: 1 }, options));
+            small = new Intl.NumberFormat(locale, Object.assign({ minimumFractionDigits: 0, maximumFractionDigits: 0 }, options));
+            exact = new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: 2 });
+        } catch (err) {
+            console.warn(`BOQ: Cannot format ${currency} for ${locale}`);
+            return false;
+        }
+
+        const rate = currency === baseCurrency ? 1 : rates[currency] / rates[baseCurrency];
+        display = { currency, locale, rate, compact, small, exact };
+        return true;
+    }
+
+    function cycleCurrency() {
+        const current = CURRENCY_PRESETS.findIndex(p => p.currency === display.currency);
+        for (let i = 1; i <= CURRENCY_PRESETS.length; i++) {
+            const next = CURRENCY_PRESETS[(current + i) % CURRENCY_PRESETS.length];
+            if (canConvert(next.currency)) {
+                setCurrency(next.currency, next.locale);
+                return;
+            }
+        }
+    }
+
+    function load(source) {
+        const pending = typeof source === 'string'
+            ? fetch(source).then(response => {
+                if (!response.ok) throw new Error(`BOQ: Failed to load ${source}`);
+                return response.json();
+            })
+            : Promise.resolve(source);
+
+        return pending.then(doc => {
+            applyDocument(doc);
+            // Start the new bill from the top
+            timeline.seek(0);
+            updatePlayback();
+            return boqItems.length;
+        });
+    }
+
+    // Amounts are in the bill's currency; shown converted, in short form (₹11.0L, $1.1M)
+    // unless exact (₹11,02,500.00) is asked for
+    function formatCurrency(num, exact) {
+        const converted = num * display.rate;
+        if (exact) return display.exact.format(converted);
+        return (Math.abs(converted) >= 1000 ? display.compact : display.small).format(converted);
     }
 
     function easeOutCubic(t) {
         return 1 - Math.pow(1 - t, 3);
     }
 
+    // Ellipsize text that would overflow its column
+    function fitText(text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+        let fitted = text;
+        while (fitted.length > 1 && ctx.measureText(fitted + '…').width > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return fitted + '…';
+    }
+
     function draw() {
         ctx.clearRect(0, 0, width, height);
 
-        // Update cycle time
+        // Update cycle time; each cycle scans the next page
         cycleTime = (time * 0.8) % CYCLE_DURATION;
         const cycleProgress = cycleTime / CYCLE_DURATION;
+        const pageIndex = Math.floor(time * 0.8 / CYCLE_DURATION) % pages.length;
+        const pageRows = pages[pageIndex];
+        currentPage = pageIndex;
+        rowHitAreas = [];
+        const stagger = Math.min(ITEM_STAGGER, (CYCLE_DURATION * 0.67) / Math.max(1, pageRows.length - 1));
 
         // Table dimensions - fills container vertically
         const tableWidth = width - PADDING * 2;
         const tableX = PADDING;
-        const statusHeight = 25; // Space for "AI SCANNING..." at bottom
-        const availableHeight = height - PADDING * 2 - statusHeight;
-        const numRows = 8; // header + 6 items + total
+        const availableHeight = tableAreaHeight();
+        const numRows = Math.max(rowsPerPage, MIN_ROWS) + 2; // header + items + total
         const rowHeight = availableHeight / numRows;
         const tableY = PADDING;
         const colWidths = [tableWidth * 0.32, tableWidth * 0.18, tableWidth * 0.18, tableWidth * 0.32];
@@ -2998,7 +5666,7 @@ const ISO = {
 
         // Draw scanning beam (blueprint scan effect)
         const scanProgress = (cycleProgress * 1.5) % 1;
-        scanY = tableY + rowHeight + scanProgress * (rowHeight * boqItems.length);
+        scanY = tableY + rowHeight + scanProgress * (rowHeight * pageRows.length);
 
         // Scanning glow
         const scanGrad = ctx.createLinearGradient(tableX, scanY - 15, tableX, scanY + 15);
@@ -3016,13 +5684,41 @@ const ISO = {
         ctx.lineTo(tableX + tableWidth, scanY);
         ctx.stroke();
 
-        // Draw BOQ rows
+        // Progress of each building element: the furthest row measuring it, and whether one is active
+        const elements = {};
+        const measure = (item, progress, active) => {
+            if (!item.element) return;
+            const state = elements[item.element] || (elements[item.element] = { progress: 0, active: false });
+            state.progress = Math.max(state.progress, progress);
+            state.active = state.active || active;
+        };
+
+        // Earlier pages are already fully counted
         let runningTotal = 0;
-        boqItems.forEach((item, i) => {
+        for (let p = 0; p < pageIndex; p++) {
+            pages[p].forEach(row => {
+                if (row.heading) return;
+                runningTotal += row.targetQty * row.rate;
+                measure(row, 1, false);
+            });
+        }
+
+        // Draw BOQ rows
+        pageRows.forEach((item, i) => {
             const rowY = tableY + rowHeight * (i + 1);
 
+            if (item.heading) {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+                ctx.strokeRect(tableX, rowY, tableWidth, rowHeight);
+                ctx.fillStyle = 'rgba(23, 247, 247, 0.6)';
+                ctx.font = `bold ${7 * scale + 2}px "JetBrains Mono", monospace`;
+                ctx.textAlign = 'left';
+                ctx.fillText(fitText(item.heading.toUpperCase(), tableWidth - 16), tableX + 8, rowY + rowHeight * 0.65);
+                return;
+            }
+
             // Calculate item progress based on cycle
-            const itemStart = item.delay / CYCLE_DURATION;
+            const itemStart = (i * stagger) / CYCLE_DURATION;
             const itemDuration = 0.12;
             let itemProgress = Math.max(0, Math.min(1, (cycleProgress - itemStart) / itemDuration));
             itemProgress = easeOutCubic(itemProgress);
@@ -3034,13 +5730,21 @@ const ISO = {
 
             // Row background (highlights when being calculated)
             const isActive = cycleProgress >= itemStart && cycleProgress < itemStart + itemDuration + 0.05;
+            measure(item, itemProgress, isActive);
             if (isActive) {
                 ctx.fillStyle = 'rgba(23, 247, 247, 0.08)';
                 ctx.fillRect(tableX, rowY, tableWidth, rowHeight);
             }
 
+            // Hovered or selected in explorer mode
+            if (item === hoveredItem || item === selectedItem) {
+                ctx.fillStyle = item === selectedItem ? 'rgba(23, 247, 247, 0.16)' : 'rgba(23, 247, 247, 0.1)';
+                ctx.fillRect(tableX, rowY, tableWidth, rowHeight);
+            }
+            rowHitAreas.push({ y: rowY, h: rowHeight, item });
+
             // Row border
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+            ctx.strokeStyle = item === selectedItem ? 'rgba(23, 247, 247, 0.7)' : 'rgba(255, 255, 255, 0.1)';
             ctx.strokeRect(tableX, rowY, tableWidth, rowHeight);
 
             // Row content
@@ -3050,7 +5754,7 @@ const ISO = {
             // Item name
             ctx.fillStyle = itemProgress > 0 ? 'rgba(255, 255, 255, 0.9)' : 'rgba(255, 255, 255, 0.3)';
             ctx.textAlign = 'left';
-            ctx.fillText(item.item, colX, rowY + rowHeight * 0.65);
+            ctx.fillText(fitText(item.item, colWidths[0] - 12), colX, rowY + rowHeight * 0.65);
             colX += colWidths[0];
 
             // Quantity (animates)
@@ -3077,7 +5781,7 @@ const ISO = {
         });
 
         // Total row
-        const totalRowY = tableY + rowHeight * (boqItems.length + 1);
+        const totalRowY = tableY + rowHeight * (pageRows.length + 1);
         ctx.fillStyle = 'rgba(23, 247, 247, 0.1)';
         ctx.fillRect(tableX, totalRowY, tableWidth, rowHeight);
         ctx.strokeStyle = 'rgba(23, 247, 247, 0.4)';
@@ -3091,112 +5795,704 @@ const ISO = {
         ctx.textAlign = 'right';
         ctx.fillText(formatCurrency(runningTotal), tableX + tableWidth - 8, totalRowY + rowHeight * 0.65);
 
+        const buildingY = tableY + availableHeight;
+        drawBuilding(tableX, buildingY, tableWidth, height - PADDING - STATUS_HEIGHT - buildingY, elements);
+
         // "AI Processing" indicator
         const processingAlpha = 0.5 + Math.sin(time * 4) * 0.3;
         ctx.fillStyle = `rgba(23, 247, 247, ${processingAlpha})`;
         ctx.font = `${7 * scale + 1}px "JetBrains Mono", monospace`;
         ctx.textAlign = 'center';
-        ctx.fillText('● AI SCANNING BLUEPRINT...', width / 2, height - 8);
+        const pageLabel = pages.length > 1 ? ` ${pageIndex + 1}/${pages.length}` : '';
+        ctx.fillText(`● AI SCANNING BLUEPRINT...${pageLabel}`, width / 2, height - 8);
+
+        drawCurrencyButton();
+    }
+
+    // Parts not measured yet are faint outlines; the hovered or selected row's element is lit
+    function drawBuilding(x, y, w, h, elements) {
+        const { width: bw, depth: bd, floors, storey } = BUILDING;
+        const span = bw + bd;
+        const tall = floors * storey + 0.3;
+        const fit = Math.min(w / (span * Math.cos(ISO.angle)), h / (span * Math.sin(ISO.angle) + tall)) * 0.9;
+        buildingView = { centerX: x + w / 2, centerY: y + h / 2 + (tall * fit) / 2, scale: fit };
+        buildingSway.rotation = Math.sin(time * 0.4) * 0.15;
+
+        const focus = hoveredItem || selectedItem;
+        buildingParts.forEach(part => {
+            const { element } = part.data;
+            const state = elements[element];
+            if (focus && focus.element === element) {
+                part.alpha = 0.55;
+                part.stroke = 'rgba(23, 247, 247, 1)';
+            } else if (!state || state.progress === 0) {
+                part.alpha = 0.03;
+                part.stroke = 'rgba(255, 255, 255, 0.12)';
+            } else {
+                part.alpha = (state.active ? 0.45 : 0.22) * Math.max(0.2, state.progress);
+                part.stroke = `rgba(23, 247, 247, ${state.active ? 0.9 : 0.45})`;
+            }
+        });
+
+        ctx.save();
+        ctx.lineJoin = 'round';
+        building.draw(ctx, buildingView);
+        ctx.restore();
+    }
+
+    // Small pill in the bottom-right corner; clicking it cycles the display currency
+    function drawCurrencyButton() {
+        ctx.font = `bold ${6 * scale + 2}px "JetBrains Mono", monospace`;
+        const label = `⇄ ${display.currency}`;
+        const w = ctx.measureText(label).width + 12;
+        const h = 8 * scale + 8;
+        const x = width - PADDING - w;
+        const y = height - 8 - h * 0.75;
+        currencyButton = { x, y, w, h };
+
+        ctx.fillStyle = 'rgba(23, 247, 247, 0.08)';
+        ctx.strokeStyle = 'rgba(23, 247, 247, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.roundRect(x, y, w, h, h / 2);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(23, 247, 247, 0.9)';
+        ctx.textAlign = 'center';
+        ctx.fillText(label, x + w / 2, y + h * 0.7);
+    }
+
+    function pointerPosition(e) {
+        const rect = canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    function isOverCurrencyButton(e) {
+        if (!currencyButton) return false;
+        const { x, y } = pointerPosition(e);
+        return x >= currencyButton.x && x <= currencyButton.x + currencyButton.w &&
+               y >= currencyButton.y && y <= currencyButton.y + currencyButton.h;
+    }
+
+    // Building part under the pointer, as the item measuring it (current page first)
+    function hitTestBuilding(e) {
+        if (!buildingView) return null;
+        const { x, y } = pointerPosition(e);
+        const part = building.pick(x, y);
+        if (!part) return null;
+        const matches = item => item.element === part.data.element;
+        return pages[currentPage].find(row => !row.heading && matches(row)) || boqItems.find(matches) || null;
+    }
+
+    // Line item under the pointer, if any
+    function hitTestRow(e) {
+        const { x, y } = pointerPosition(e);
+        if (x < PADDING || x > width - PADDING) return null;
+        const hit = rowHitAreas.find(row => y >= row.y && y < row.y + row.h);
+        return hit ? hit.item : null;
+    }
+
+    // --- Explorer mode ---
+    function isHolding() {
+        return pointerInside || hasFocus || Boolean(selectedItem);
+    }
+
+    // Hold the timeline while the visitor is exploring, and redraw by hand while held
+    function updatePlayback() {
+        if (interactive && isHolding()) {
+            timeline.pause();
+            draw();
+        } else {
+            timeline.play();
+        }
+    }
+
+    function createDetailPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'boq-detail';
+        panel.id = `${canvas.id}-detail`;
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-live', 'polite');
+        panel.setAttribute('aria-label', 'Line item breakdown');
+        panel.hidden = true;
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'boq-detail-close';
+        close.setAttribute('aria-label', 'Close breakdown');
+        close.textContent = '×';
+        close.addEventListener('click', () => {
+            closeDetail();
+            canvas.focus();
+        });
+
+        const group = document.createElement('p');
+        group.className = 'boq-detail-group';
+        const title = document.createElement('p');
+        title.className = 'boq-detail-title';
+        const list = document.createElement('dl');
+        list.className = 'boq-detail-list';
+
+        panel.append(close, group, title, list);
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                closeDetail();
+                canvas.focus();
+            }
+        });
+        canvas.insertAdjacentElement('afterend', panel);
+        canvas.setAttribute('aria-controls', panel.id);
+        return panel;
+    }
+
+    function showDetail(item) {
+        selectedItem = item;
+        const [, group, title, list] = detailPanel.children;
+        group.textContent = item.group || '';
+        group.hidden = !item.group;
+        title.textContent = item.item;
+
+        const qty = `${item.targetQty.toLocaleString(display.locale)} ${item.unit}`.trim();
+        const rows = [
+            ['Drawing', item.drawing],
+            ['Measured', item.dimensions],
+            ['Quantity', qty],
+            ['Rate', `${formatCurrency(item.rate, true)}${item.unit ? ' / ' + item.unit : ''}`],
+            ['Rate source', item.rateSource],
+            ['Amount', `${formatCurrency(item.targetQty * item.rate, true)} (${formatCurrency(item.targetQty * item.rate)})`]
+        ];
+        list.replaceChildren();
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value || '—';
+            list.append(dt, dd);
+        });
+
+        detailPanel.hidden = false;
+        updatePlayback();
+    }
+
+    function closeDetail() {
+        selectedItem = null;
+        detailPanel.hidden = true;
+        updatePlayback();
+    }
+
+    // Keyboard selection walks every item; items on another page bring that page up fully counted
+    function selectItemAt(index) {
+        const item = boqItems[Math.max(0, Math.min(boqItems.length - 1, index))];
+        const page = pages.findIndex(rows => rows.includes(item));
+        if (page !== currentPage) {
+            timeline.seek(((page + 1) * CYCLE_DURATION - 0.25) / 0.8);
+        }
+        showDetail(item);
+    }
+
+    function setupExplorer() {
+        detailPanel = createDetailPanel();
+        canvas.tabIndex = 0;
+
+        canvas.addEventListener('mouseenter', () => {
+            pointerInside = true;
+            updatePlayback();
+        }, { signal: viz.signal });
+        canvas.addEventListener('mouseleave', () => {
+            pointerInside = false;
+            hoveredItem = null;
+            updatePlayback();
+        }, { signal: viz.signal });
+        // Only keyboard focus holds the animation; a mouse click focuses the canvas too
+        canvas.addEventListener('focus', () => {
+            hasFocus = canvas.matches(':focus-visible');
+            updatePlayback();
+        }, { signal: viz.signal });
+        canvas.addEventListener('blur', () => {
+            hasFocus = false;
+            updatePlayback();
+        }, { signal: viz.signal });
+
+        canvas.addEventListener('keydown', (e) => {
+            const current = boqItems.indexOf(selectedItem || hoveredItem);
+            const firstOnPage = boqItems.indexOf(pages[currentPage].find(row => !row.heading));
+            hasFocus = true;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                selectItemAt(current === -1 ? firstOnPage : current + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Home' || e.key === 'End') {
+                e.preventDefault();
+                selectItemAt(e.key === 'Home' ? 0 : boqItems.length - 1);
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                if (selectedItem) closeDetail();
+                else selectItemAt(current === -1 ? firstOnPage : current);
+            } else if (e.key === 'Escape' && selectedItem) {
+                closeDetail();
+            }
+        }, { signal: viz.signal });
+    }
+
+    // --- Export ---
+    // The same table as the canvas (ITEM, QTY, UNIT, AMOUNT with group headings and a
+    // TOTAL row), fully calculated and in the currency currently on display.
+    function exportTable() {
+        const rows = [['ITEM', 'QTY', 'UNIT', `AMOUNT (${display.currency})`]];
+        let total = 0;
+        buildRows(boqItems).forEach(row => {
+            if (row.heading) {
+                rows.push([row.heading.toUpperCase()]);
+                return;
+            }
+            const amount = Math.round(row.targetQty * row.rate * display.rate * 100) / 100;
+            total += amount;
+            rows.push([row.item, Number(row.targetQty.toFixed(row.targetQty < 100 ? 1 : 0)), row.unit, amount]);
+        });
+        rows.push(['TOTAL', '', '', Math.round(total * 100) / 100]);
+        return rows;
+    }
+
+    function toCSV(rows) {
+        const escape = (value) => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        // BOM so spreadsheet apps read m³/m² and currency symbols as UTF-8
+        return '\uFEFF' + rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // SpreadsheetML 2003: a single XML file that Excel, Numbers and LibreOffice open as a workbook
+    function toSpreadsheetML(rows) {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const cell = (value, style) => {
+            const type = typeof value === 'number' ? 'Number' : 'String';
+            const styleAttr = style ? ` ss:StyleID="${style}"` : '';
+            return `<Cell${styleAttr}><Data ss:Type="${type}">${escape(value)}</Data></Cell>`;
+        };
+        const body = rows.map((row, i) => {
+            const isHeader = i === 0 || i === rows.length - 1 || row.length === 1;
+            const cells = row.map((value, col) => {
+                if (value === '') return '<Cell/>';
+                if (col === 3 && i > 0) return cell(value, isHeader ? 'total' : 'amount');
+                return cell(value, isHeader ? 'header' : null);
+            });
+            return `<Row>${cells.join('')}</Row>`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<?mso-application progid="Excel.Sheet"?>',
+            '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+            '<Styles>',
+            '<Style ss:ID="header"><Font ss:Bold="1"/></Style>',
+            '<Style ss:ID="amount"><NumberFormat ss:Format="#,##0.00"/></Style>',
+            '<Style ss:ID="total"><Font ss:Bold="1"/><NumberFormat ss:Format="#,##0.00"/></Style>',
+            '</Styles>',
+            '<Worksheet ss:Name="Bill of Quantities"><Table>',
+            '<Column ss:Width="180"/><Column ss:Width="60"/><Column ss:Width="50"/><Column ss:Width="110"/>',
+            ...body,
+            '</Table></Worksheet>',
+            '</Workbook>'
+        ].join('\n');
+    }
+
+    // format: 'csv' or 'xls'; returns the file contents
+    function exportFile(format) {
+        const rows = exportTable();
+        return format === 'xls' ? toSpreadsheetML(rows) : toCSV(rows);
+    }
+
+    function download(format) {
+        const type = format === 'xls' ? 'application/vnd.ms-excel' : 'text/csv;charset=utf-8';
+        const blob = new Blob([exportFile(format)], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `bill-of-quantities-${display.currency.toLowerCase()}.${format === 'xls' ? 'xls' : 'csv'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function createExportControls() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'boq-export';
+        toolbar.setAttribute('role', 'group');
+        toolbar.setAttribute('aria-label', 'Export bill of quantities');
+
+        [['csv', 'CSV'], ['xls', 'XLS']].forEach(([format, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'boq-export-button';
+            button.dataset.format = format;
+            button.textContent = `⤓ ${label}`;
+            button.addEventListener('click', () => download(format));
+            toolbar.appendChild(button);
+        });
+        canvas.insertAdjacentElement('afterend', toolbar);
+        return toolbar;
+    }
+
+    resize();
+    applyDocument(DEFAULT_BOQ);
+    // <canvas data-boq-currency="USD" data-boq-locale="en-US"> picks the initial display currency
+    if (canvas.dataset.boqCurrency) {
+        setCurrency(canvas.dataset.boqCurrency, canvas.dataset.boqLocale);
+    }
+    canvas.addEventListener('click', (e) => {
+        if (isOverCurrencyButton(e)) {
+            cycleCurrency();
+            if (selectedItem) showDetail(selectedItem);
+            else updatePlayback();
+            return;
+        }
+        if (!interactive) return;
+        const item = hitTestRow(e) || hitTestBuilding(e);
+        if (item && item !== selectedItem) selectItemAt(boqItems.indexOf(item));
+        else if (selectedItem) closeDetail();
+    }, { signal: viz.signal });
+    canvas.addEventListener('mousemove', (e) => {
+        const item = interactive ? hitTestRow(e) || hitTestBuilding(e) : null;
+        canvas.style.cursor = isOverCurrencyButton(e) || item ? 'pointer' : '';
+        if (item !== hoveredItem) {
+            hoveredItem = item;
+            if (isHolding()) draw();
+        }
+    }, { signal: viz.signal });
+
+    const exportControls = createExportControls();
+    if (interactive) setupExplorer();
+
+    const inlineDocument = canvas.parentElement.querySelector('script[type="application/json"]');
+    if (canvas.dataset.boqSrc) {
+        load(canvas.dataset.boqSrc).catch(err => console.warn(err.message));
+    } else if (inlineDocument) {
+        try {
+            applyDocument(JSON.parse(inlineDocument.textContent));
+            timeline.seek(0);
+            updatePlayback();
+        } catch (err) {
+            console.warn(err instanceof SyntaxError ? 'BOQ: Inline document is not valid JSON' : err.message);
+        }
+    }
+
+    viz.api = {
+        load,
+        getItems: () => boqItems.slice(),
+        setCurrency,
+        getCurrency: () => ({ currency: display.currency, locale: display.locale }),
+        formatCurrency,
+        getSelectedItem: () => selectedItem,
+        // Building parts in view in the last frame, each with a canvas point that picks it
+        getBuildingParts: () => buildingParts.map(part => {
+            // Face centres first, then points between each centre and its corners
+            for (const face of building.facesOf(part)) {
+                const cx = face.reduce((sum, p) => sum + p.x, 0) / face.length;
+                const cy = face.reduce((sum, p) => sum + p.y, 0) / face.length;
+                const candidates = [{ x: cx, y: cy }].concat(face.map(p => ({ x: (cx + p.x) / 2, y: (cy + p.y) / 2 })));
+                const visible = candidates.find(c => building.pick(c.x, c.y) === part);
+                if (visible) return { element: part.data.element, x: visible.x, y: visible.y };
+            }
+            return null;
+        }).filter(Boolean),
+        exportFile,
+        download
+    };
+    console.log('%c✓ BOQ Generator visualization initialized!', 'color: #17f7f7; font-size: 12px;');
+
+    // Everything on this canvas is a pure function of time
+    return {
+        reset: () => { time = 0; },
+        step: (dt) => { time += dt; },
+        draw,
+        resize,
+        teardown() {
+            exportControls.remove();
+            if (detailPanel) detailPanel.remove();
+        }
+    };
+}, { global: 'boqGenerator' });
+
+// ========================================
+// VISUALIZATION 2: Perhitsiksha - WhatsApp CRM Automation
+// Shows incoming messages being auto-processed and student records updated
+// ========================================
+VizRegistry.define('whatsapp-crm', (viz) => {
+    const { canvas, ctx, timeline } = viz;
+    let width, height, scale;
+    let time = 0;
+
+    const PADDING = 20;
+
+    const MESSAGE_TYPES = ['donation', 'student', 'inquiry', 'report'];
+
+    // A scenario is the story the canvas plays back: the CRM records it starts from and
+    // the inbound messages in order. Each message carries what the parser makes of it
+    // and the record mutation that follows:
+    //   { at: seconds, sender, text,
+    //     parsed: { type: 'donation'|'student'|'inquiry'|'report', student?, amount? },
+    //     mutation?: { student, create?, add?: { donations }, set?: { status } } }
+    // Pages can supply their own via <canvas data-scenario-src="story.json"> or an inline
+    // <script type="application/json"> next to the canvas.
+    const DEFAULT_SCENARIO = {
+        students: [
+            { name: 'Priya S.', status: 'Active', donations: 7500 },
+            { name: 'Rahul M.', status: 'Active', donations: 5200 },
+            { name: 'Anjali K.', status: 'Active', donations: 11000 },
+            { name: 'Vikram P.', status: 'Pending', donations: 0 }
+        ],
+        messages: [
+            {
+                at: 0.5, sender: 'Parent', text: 'Paid ₹5,000 for Priya',
+                parsed: { type: 'donation', student: 'Priya S.', amount: 5000 },
+                mutation: { student: 'Priya S.', add: { donations: 5000 } }
+            },
+            {
+                at: 1.5, sender: 'Volunteer', text: 'Enrolled Sneha R. today',
+                parsed: { type: 'student', student: 'Sneha R.' },
+                mutation: { student: 'Sneha R.', create: true, set: { status: 'Pending' } }
+            },
+            {
+                at: 3, sender: 'Donor', text: '₹3,000 for Rahul\'s fees',
+                parsed: { type: 'donation', student: 'Rahul M.', amount: 3000 },
+                mutation: { student: 'Rahul M.', add: { donations: 3000 } }
+            },
+            {
+                at: 4.5, sender: 'Donor', text: 'Any grants open in 2025?',
+                parsed: { type: 'inquiry' }
+            },
+            {
+                at: 6, sender: 'School', text: 'Vikram attending daily',
+                parsed: { type: 'report', student: 'Vikram P.' },
+                mutation: { student: 'Vikram P.', set: { status: 'Active' } }
+            },
+            {
+                at: 7.5, sender: 'Parent', text: 'Fee ₹4,000 paid: Anjali',
+                parsed: { type: 'donation', student: 'Anjali K.', amount: 4000 },
+                mutation: { student: 'Anjali K.', add: { donations: 4000 } }
+            },
+            {
+                at: 9, sender: 'Donor', text: 'Sponsoring Sneha ₹2,500',
+                parsed: { type: 'donation', student: 'Sneha R.', amount: 2500 },
+                mutation: { student: 'Sneha R.', add: { donations: 2500 }, set: { status: 'Active' } }
+            }
+        ]
+    };
+
+    const PROCESS_RATE = 0.008;  // progress per step, ~2s per message
+    const LOOP_HOLD = 3;         // seconds the finished story stays up before replaying
+
+    let scenario = null;
+
+    // Animation state
+    let students = [];           // records: { name, status, donations (shown), targetDonations }
+    let messageQueue = [];
+    let messageProgress = 0;
+    let processedCount = 0;
+    let nextMessage = 0;         // index of the next scenario message to arrive
+    let scenarioTime = 0;
+    let idleTime = 0;            // time since the story finished
 
-        time += 0.016;
-    }
+    // Compact top-aligned layout with tighter spacing
+    const HEADER_HEIGHT = 25;
+    const rowSpacing = () => 55 * scale; // Tighter spacing for 5 rows
 
-    function animate() {
-        if (!isAnimating) return;
-        draw();
-        animationId = requestAnimationFrame(animate);
+    function resize() {
+        ({ width, height, scale } = viz);
     }
 
-    function startAnimation() {
-        if (!isAnimating) {
-            isAnimating = true;
-            animate();
+    // Check a scenario up front so playback never has to
+    function normalizeScenario(doc) {
+        if (!doc || !Array.isArray(doc.students) || !Array.isArray(doc.messages)) {
+            throw new Error('WhatsApp CRM: Scenario needs students and messages arrays');
         }
+        const names = new Set(doc.students.map(student => student.name));
+        let lastAt = 0;
+        const messages = doc.messages.map((msg, i) => {
+            const parsed = msg.parsed || {};
+            if (typeof msg.text !== 'string' || !MESSAGE_TYPES.includes(parsed.type)) {
+                throw new Error(`WhatsApp CRM: Message ${i + 1} needs text and a parsed type`);
+            }
+            const mutation = msg.mutation || null;
+            if (mutation) {
+                if (mutation.create) names.add(mutation.student);
+                if (!names.has(mutation.student)) {
+                    throw new Error(`WhatsApp CRM: Message ${i + 1} updates unknown student ${mutation.student}`);
+                }
+            }
+            // Messages without a time arrive 1.5s after the previous one
+            lastAt = typeof msg.at === 'number' ? msg.at : lastAt + 1.5;
+            return { at: lastAt, sender: msg.sender || 'Unknown', text: msg.text, parsed, mutation };
+        });
+        return {
+            students: doc.students.map(student => ({
+                name: String(student.name),
+                status: student.status || 'Active',
+                donations: Number(student.donations) || 0
+            })),
+            messages
+        };
+    }
+
+    function findStudent(name) {
+        return students.find(student => student.name === name);
     }
 
-    function stopAnimation() {
-        isAnimating = false;
-        if (animationId) {
-            cancelAnimationFrame(animationId);
-            animationId = null;
+    // Ellipsize text that would overflow its bubble
+    function fitText(text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+        let fitted = text;
+        while (fitted.length > 1 && ctx.measureText(fitted + '…').width > maxWidth) {
+            fitted = fitted.slice(0, -1);
         }
+        return fitted + '…';
     }
 
-    resize();
-    window.addEventListener('resize', resize);
+    // --- Message playground ---
+    // A small keyword model: each rule that matches adds its weight to that intent.
+    const INTENT_RULES = {
+        donation: [
+            [/\b(paid|pay(ing|ment)?|fees?|donat\w*|sponsor\w*|contribut\w*|transferr?\w*|upi)\b/i, 2],
+            [/(₹|\brs\.?|\binr\b|\brupees?\b)/i, 2]
+        ],
+        student: [
+            [/\b(enrol+\w*|admission|admitted|joined|register\w*)\b/i, 3],
+            [/\bnew (student|kid|child)\b/i, 3],
+            [/\bstudents?\b/i, 1]
+        ],
+        inquiry: [
+            [/\?/, 2],
+            [/\b(how|what|when|where|which|can|could|grants?|info\w*|details|apply|enquir\w*|inquir\w*)\b/i, 1]
+        ],
+        report: [
+            [/\b(attendance|attending|report\w*|marks|results?|exams?|progress|absent|present|grades?|scores?)\b/i, 3]
+        ]
+    };
 
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            entry.isIntersecting ? startAnimation() : stopAnimation();
-        });
-    }, { threshold: 0.1 });
+    // "2000", "2,000", "₹2k"
+    function findAmount(text) {
+        const match = text.match(/(\d[\d,]*(?:\.\d+)?)\s*(k)?\b/i);
+        if (!match) return null;
+        const amount = parseFloat(match[1].replace(/,/g, '')) * (match[2] ? 1000 : 1);
+        return amount >= 10 ? amount : null;
+    }
 
-    observer.observe(canvas);
-    console.log('%c✓ BOQ Generator visualization initialized!', 'color: #17f7f7; font-size: 12px;');
-})();
+    // A student on the records by first name, or a new name after "for"/"enrolled" etc.
+    function findMentionedStudent(text) {
+        const known = students.find(student => {
+            const firstName = student.name.split(' ')[0].replace(/[^\w]/g, '');
+            return new RegExp(`\\b${firstName}\\b`, 'i').test(text);
+        });
+        if (known) return { name: known.name, known: true };
 
-// ========================================
-// VISUALIZATION 2: Perhitsiksha - WhatsApp CRM Automation
-// Shows incoming messages being auto-processed and student records updated
-// ========================================
-(function initWhatsAppCRM() {
-    const canvas = document.getElementById('viz-perhitsiksha');
-    if (!canvas) return;
+        const after = text.match(/\b(?:for|enrol+(?:ed)?|admitted|admit|named|joined:?)\s+(.+)/i);
+        const name = after && after[1].match(/^[A-Z][a-z]+(?:\s[A-Z]\.?)?/);
+        return name ? { name: name[0], known: false } : null;
+    }
 
-    const ctx = canvas.getContext('2d');
-    let width, height, scale;
-    let time = 0;
-    let animationId = null;
-    let isAnimating = false;
+    // Text -> { type, confidence, student?, amount? }, typed like the scenario's parsed results
+    function classifyMessage(text) {
+        const scores = {};
+        let total = 0;
+        Object.keys(INTENT_RULES).forEach(type => {
+            scores[type] = INTENT_RULES[type].reduce((sum, [pattern, weight]) => sum + (pattern.test(text) ? weight : 0), 0);
+        });
+        const amount = findAmount(text);
+        if (amount) scores.donation += 1;
+        Object.keys(scores).forEach(type => { total += scores[type]; });
+
+        // Nothing recognisable reads as a question for a volunteer
+        const type = total === 0 ? 'inquiry' : MESSAGE_TYPES.reduce((best, t) => scores[t] > scores[best] ? t : best);
+        const parsed = { type, confidence: total === 0 ? 0.5 : scores[type] / total };
+
+        const student = findMentionedStudent(text);
+        if (student && type !== 'inquiry') parsed.student = student.name;
+        if (amount && type === 'donation') parsed.amount = amount;
+        return parsed;
+    }
 
-    const PADDING = 20;
+    // The record change a parsed message leads to, if any
+    function mutationFor(parsed) {
+        if (!parsed.student) return null;
+        const known = Boolean(findStudent(parsed.student));
+        if (parsed.type === 'donation') {
+            return known && parsed.amount ? { student: parsed.student, add: { donations: parsed.amount } } : null;
+        }
+        if (parsed.type === 'student') {
+            return known
+                ? { student: parsed.student, set: { status: 'Active' } }
+                : { student: parsed.student, create: true, set: { status: 'Pending' } };
+        }
+        if (parsed.type === 'report' && known) {
+            return { student: parsed.student, set: { status: 'Active' } };
+        }
+        return null;
+    }
 
-    // Incoming WhatsApp messages
-    const messages = [
-        { sender: 'Parent', text: 'Donation ₹5,000', type: 'donation' },
-        { sender: 'Volunteer', text: 'New student enrolled', type: 'student' },
-        { sender: 'Donor', text: 'Grant inquiry', type: 'inquiry' },
-        { sender: 'Parent', text: 'Fee payment done', type: 'donation' },
-        { sender: 'School', text: 'Attendance report', type: 'report' }
-    ];
+    // Visitor messages jump the queue, right behind the one being processed
+    function sendMessage(text, sender) {
+        const parsed = classifyMessage(text);
+        const message = { at: scenarioTime, sender: sender || 'You', text, parsed, mutation: mutationFor(parsed), alpha: 0 };
+        messageQueue.splice(messageQueue.length && messageProgress > 0 ? 1 : 0, 0, message);
+        timeline.play();
+        return parsed;
+    }
 
-    // Student records that get updated (5 rows to fill space)
-    const students = [
-        { name: 'Priya S.', status: 'Active', donations: 0, targetDonations: 12500 },
-        { name: 'Rahul M.', status: 'Active', donations: 0, targetDonations: 8200 },
-        { name: 'Anjali K.', status: 'Active', donations: 0, targetDonations: 15000 },
-        { name: 'Vikram P.', status: 'Pending', donations: 0, targetDonations: 6800 },
-        { name: 'Sneha R.', status: 'Active', donations: 0, targetDonations: 9500 }
-    ];
+    function setupPlayground(form) {
+        const input = form.querySelector('input[name="message"]');
+        const result = form.querySelector('.crm-playground-result');
+        const formatAmount = (amount) => '₹' + Math.round(amount).toLocaleString('en-IN');
 
-    // Animation state
-    let messageQueue = [];
-    let currentMessage = null;
-    let messageProgress = 0;
-    let processedCount = 0;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = input.value.trim();
+            if (!text) return;
+
+            const parsed = sendMessage(text);
+            const details = [`${parsed.type.toUpperCase()} (${Math.round(parsed.confidence * 100)}%)`];
+            if (parsed.student) details.push(parsed.student);
+            if (parsed.amount) details.push(formatAmount(parsed.amount));
+            if (result) result.textContent = `Classified as ${details.join(' · ')}`;
+            input.value = '';
+        }, { signal: viz.signal });
+    }
 
-    function resize() {
-        const rect = canvas.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
-        canvas.width = rect.width * dpr;
-        canvas.height = rect.height * dpr;
-        ctx.scale(dpr, dpr);
-        width = rect.width;
-        height = rect.height;
-        scale = Math.min(width, height) / 400;
+    // Back to the opening state of the story
+    function restartScenario() {
+        students = scenario.students.map(student => ({
+            name: student.name,
+            status: student.status,
+            donations: student.donations,
+            targetDonations: student.donations
+        }));
+        messageQueue = [];
+        messageProgress = 0;
+        processedCount = 0;
+        nextMessage = 0;
+        scenarioTime = 0;
+        idleTime = 0;
     }
 
-    function spawnMessage() {
-        const msg = messages[Math.floor(Math.random() * messages.length)];
-        messageQueue.push({
-            ...msg,
-            y: PADDING + 30,
-            alpha: 0,
-            processed: false
-        });
+    function applyMutation(mutation) {
+        let student = findStudent(mutation.student);
+        if (!student && mutation.create) {
+            student = { name: mutation.student, status: 'Active', donations: 0, targetDonations: 0 };
+            students.push(student);
+        }
+        if (!student) return;
+        if (mutation.add && mutation.add.donations) {
+            student.targetDonations += mutation.add.donations;
+        }
+        if (mutation.set && mutation.set.status) {
+            student.status = mutation.set.status;
+        }
     }
 
-    function drawWhatsAppBubble(x, y, text, sender, alpha, isProcessing) {
+    function drawWhatsAppBubble(x, y, text, sender, alpha, isProcessing, label) {
         const bubbleWidth = (width - PADDING * 2) * 0.45;
         const bubbleHeight = 40 * scale; // Consistent height with records
 
@@ -3221,14 +6517,14 @@ const ISO = {
         // Message text
         ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
         ctx.font = `${7 * scale + 1}px "JetBrains Mono", monospace`;
-        ctx.fillText(text, x + 8 * scale, y + 30 * scale);
+        ctx.fillText(fitText(text, bubbleWidth - 16 * scale), x + 8 * scale, y + 30 * scale);
 
-        // Processing indicator
+        // Processing indicator, then what the message was parsed as
         if (isProcessing) {
             ctx.fillStyle = 'rgba(23, 247, 247, 0.8)';
             ctx.font = `${7 * scale}px "JetBrains Mono", monospace`;
             ctx.textAlign = 'right';
-            ctx.fillText('● Processing', x + bubbleWidth - 8 * scale, y + 14 * scale);
+            ctx.fillText(label || '● Processing', x + bubbleWidth - 8 * scale, y + 14 * scale);
         }
 
         ctx.restore();
@@ -3271,25 +6567,66 @@ const ISO = {
         ctx.restore();
     }
 
+    function reset() {
+        time = 0;
+        restartScenario();
+    }
+
+    // One fixed simulation step (rates are per 1/60s step)
+    function step(dt) {
+        time += dt;
+        scenarioTime += dt;
+
+        // Scripted arrivals
+        while (nextMessage < scenario.messages.length && scenario.messages[nextMessage].at <= scenarioTime) {
+            messageQueue.push(Object.assign({ alpha: 0 }, scenario.messages[nextMessage]));
+            nextMessage++;
+        }
+
+        messageQueue.forEach(msg => {
+            // Fade in
+            msg.alpha = Math.min(1, msg.alpha + 0.05);
+        });
+
+        // Process first message
+        if (messageQueue.length) {
+            messageProgress += PROCESS_RATE;
+            if (messageProgress > 1) {
+                const msg = messageQueue.shift();
+                if (msg.mutation) applyMutation(msg.mutation);
+                processedCount++;
+                messageProgress = 0;
+            }
+        } else if (nextMessage >= scenario.messages.length) {
+            // Story told; hold it briefly, then play it again
+            idleTime += dt;
+            if (idleTime >= LOOP_HOLD) restartScenario();
+        }
+
+        // Animate donations counting up
+        students.forEach(student => {
+            if (student.donations < student.targetDonations) {
+                student.donations += (student.targetDonations - student.donations) * 0.02;
+                if (student.targetDonations - student.donations < 0.5) student.donations = student.targetDonations;
+            }
+        });
+    }
+
+    function loadScenario(doc) {
+        scenario = normalizeScenario(doc);
+        timeline.seek(0);
+        timeline.play();
+    }
+
     function draw() {
         ctx.clearRect(0, 0, width, height);
-        time += 0.016;
 
         // Layout - fills container vertically
         const contentWidth = width - PADDING * 2;
         const leftCol = PADDING;
         const rightCol = PADDING + contentWidth * 0.52;
-
-        // Compact top-aligned layout with tighter spacing
-        const headerHeight = 25;
-        const rowSpacing = 55 * scale; // Tighter spacing for 5 rows
-        const studentSpacing = rowSpacing;
-        const messageSpacing = rowSpacing;
-
-        // Spawn new messages periodically (up to 5)
-        if (Math.random() > 0.98 && messageQueue.length < 5) {
-            spawnMessage();
-        }
+        const studentSpacing = rowSpacing();
+        const messageSpacing = rowSpacing();
 
         // Section headers
         ctx.fillStyle = 'rgba(23, 247, 247, 0.7)';
@@ -3298,51 +6635,30 @@ const ISO = {
         ctx.fillText('INCOMING', leftCol, PADDING + 12);
         ctx.fillText('STUDENT RECORDS', rightCol, PADDING + 12);
 
-        // Process message queue - track processing message position
-        let yOffset = PADDING + headerHeight;
+        // Message queue (as many as fit) - track processing message position
+        let yOffset = PADDING + HEADER_HEIGHT;
         let processingMsgY = null;
-        let targetStudentIdx = Math.floor(time * 0.5) % students.length;
-
-        messageQueue = messageQueue.filter((msg, i) => {
-            // Fade in
-            msg.alpha = Math.min(1, msg.alpha + 0.05);
+        const processing = messageQueue.length && messageProgress > 0.3 ? messageQueue[0] : null;
+        const target = processing && processing.mutation ? processing.mutation.student : null;
 
-            // Draw message bubble
-            const isProcessing = i === 0 && messageProgress > 0.3;
+        messageQueue.forEach((msg, i) => {
+            if (yOffset + 40 * scale > height - 30) return;
+            const isProcessing = msg === processing;
             if (isProcessing) {
                 processingMsgY = yOffset + 20 * scale; // Center of bubble
             }
-            drawWhatsAppBubble(leftCol, yOffset, msg.text, msg.sender, msg.alpha, isProcessing);
-
+            // Parsed result shows once the parser is well into the message
+            const label = isProcessing && messageProgress > 0.6 ? `● ${msg.parsed.type.toUpperCase()}` : null;
+            drawWhatsAppBubble(leftCol, yOffset, msg.text, msg.sender, msg.alpha, isProcessing, label);
             yOffset += messageSpacing;
-
-            // Process first message
-            if (i === 0) {
-                messageProgress += 0.008;
-                if (messageProgress > 1) {
-                    // Update the target student's donations
-                    students[targetStudentIdx].donations = Math.min(
-                        students[targetStudentIdx].targetDonations,
-                        students[targetStudentIdx].donations + Math.random() * 3000 + 1000
-                    );
-                    processedCount++;
-                    messageProgress = 0;
-                    return false; // Remove processed message
-                }
-            }
-
-            return msg.alpha < 1 || i === 0 || yOffset < height - 40;
         });
 
         // Draw student records - track target student position
-        let studentY = PADDING + headerHeight;
+        let studentY = PADDING + HEADER_HEIGHT;
         let targetStudentY = null;
         students.forEach((student, i) => {
-            // Animate donations counting up
-            if (student.donations < student.targetDonations) {
-                student.donations += (student.targetDonations - student.donations) * 0.02;
-            }
-            const isTarget = i === targetStudentIdx;
+            if (studentY + 40 * scale > height - 30) return;
+            const isTarget = student.name === target;
             if (isTarget) {
                 targetStudentY = studentY + 20 * scale; // Center of record
             }
@@ -3382,56 +6698,154 @@ const ISO = {
         ctx.fillText(`● AUTO-PROCESSED: ${processedCount} msgs | TOTAL: ₹${Math.floor(totalDonations).toLocaleString()}`, width / 2, height - 10);
     }
 
-    function animate() {
-        if (!isAnimating) return;
-        draw();
-        animationId = requestAnimationFrame(animate);
-    }
-
-    function startAnimation() {
-        if (!isAnimating) { isAnimating = true; animate(); }
-    }
-
-    function stopAnimation() {
-        isAnimating = false;
-        if (animationId) { cancelAnimationFrame(animationId); animationId = null; }
-    }
-
     resize();
-    window.addEventListener('resize', resize);
-
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => entry.isIntersecting ? startAnimation() : stopAnimation());
-    }, { threshold: 0.1 });
+    scenario = normalizeScenario(DEFAULT_SCENARIO);
+
+    const inlineScenario = canvas.parentElement.querySelector('script[type="application/json"]');
+    if (canvas.dataset.scenarioSrc) {
+        fetch(canvas.dataset.scenarioSrc)
+            .then(response => {
+                if (!response.ok) throw new Error(`WhatsApp CRM: Failed to load ${canvas.dataset.scenarioSrc}`);
+                return response.json();
+            })
+            .then(loadScenario)
+            .catch(err => console.warn(err.message));
+    } else if (inlineScenario) {
+        try {
+            loadScenario(JSON.parse(inlineScenario.textContent));
+        } catch (err) {
+            console.warn(err instanceof SyntaxError ? 'WhatsApp CRM: Inline scenario is not valid JSON' : err.message);
+        }
+    }
 
-    observer.observe(canvas);
+    const playground = document.querySelector(`form[data-viz-target="${canvas.id}"]`);
+    if (playground) setupPlayground(playground);
+
+    viz.api = {
+        loadScenario,
+        classifyMessage,
+        sendMessage,
+        getRecords: () => students.map(student => ({
+            name: student.name,
+            status: student.status,
+            donations: student.targetDonations
+        })),
+        getProcessedCount: () => processedCount
+    };
     console.log('%c✓ WhatsApp CRM visualization initialized!', 'color: #17f7f7; font-size: 12px;');
-})();
+
+    return { reset, step, draw, resize };
+}, { global: 'whatsappCRM' });
 
 // ========================================
 // VISUALIZATION 3: Birdsong - Audio Recognition (Shazam for Birds)
 // Shows waveform capture, analysis, and bird species identification
 // ========================================
-(function initBirdsongRecognition() {
-    const canvas = document.getElementById('viz-birdsong');
-    if (!canvas) return;
-
-    const ctx = canvas.getContext('2d');
+VizRegistry.define('birdsong', (viz) => {
+    const { canvas, ctx, timeline } = viz;
     let width, height, centerX, centerY, scale;
     let time = 0;
-    let animationId = null;
-    let isAnimating = false;
 
     const PADDING = 20;
 
-    // Bird species database
-    const birdSpecies = [
-        { name: 'Indian Robin', scientific: 'Copsychus fulicatus', confidence: 0 },
-        { name: 'House Sparrow', scientific: 'Passer domesticus', confidence: 0 },
-        { name: 'Asian Koel', scientific: 'Eudynamys scolopaceus', confidence: 0 },
-        { name: 'Common Myna', scientific: 'Acridotheres tristis', confidence: 0 },
-        { name: 'Red-vented Bulbul', scientific: 'Pycnonotus cafer', confidence: 0 }
+    // Bird species database; freqRange is the main band of each call, in Hz
+    const SPECIES_CATALOG = {
+        'Indian Robin': { scientific: 'Copsychus fulicatus', freqRange: [2000, 6000] },
+        'House Sparrow': { scientific: 'Passer domesticus', freqRange: [2500, 5500] },
+        'Asian Koel': { scientific: 'Eudynamys scolopaceus', freqRange: [700, 1600] },
+        'Common Myna': { scientific: 'Acridotheres tristis', freqRange: [1000, 4000] },
+        'Red-vented Bulbul': { scientific: 'Pycnonotus cafer', freqRange: [1500, 3500] },
+        'House Crow': { scientific: 'Corvus splendens', freqRange: [500, 2500] },
+        'Rose-ringed Parakeet': { scientific: 'Psittacula krameri', freqRange: [2000, 5000] },
+        'Indian Peafowl': { scientific: 'Pavo cristatus', freqRange: [400, 1500] },
+        'European Robin': { scientific: 'Erithacus rubecula', freqRange: [2000, 7500] },
+        'Common Blackbird': { scientific: 'Turdus merula', freqRange: [1500, 4000] },
+        'Great Tit': { scientific: 'Parus major', freqRange: [3000, 7000] },
+        'Common Wood Pigeon': { scientific: 'Columba palumbus', freqRange: [300, 800] },
+        'American Robin': { scientific: 'Turdus migratorius', freqRange: [1800, 3700] },
+        'Northern Cardinal': { scientific: 'Cardinalis cardinalis', freqRange: [2000, 5000] },
+        'Blue Jay': { scientific: 'Cyanocitta cristata', freqRange: [1000, 3500] },
+        'Mourning Dove': { scientific: 'Zenaida macroura', freqRange: [400, 800] }
+    };
+
+    // Region packs: the species list for each place, and the call the synthetic signal plays there
+    const REGION_PACKS = [
+        {
+            id: 'bangalore', label: 'Bangalore, India', lat: 12.97, lon: 77.59, call: 'Asian Koel',
+            species: ['Indian Robin', 'House Sparrow', 'Asian Koel', 'Common Myna', 'Red-vented Bulbul']
+        },
+        {
+            id: 'delhi', label: 'Delhi, India', lat: 28.61, lon: 77.21, call: 'Rose-ringed Parakeet',
+            species: ['House Crow', 'Rose-ringed Parakeet', 'Indian Peafowl', 'Asian Koel', 'Common Myna']
+        },
+        {
+            id: 'london', label: 'London, UK', lat: 51.51, lon: -0.13, call: 'Common Blackbird',
+            species: ['European Robin', 'Common Blackbird', 'Great Tit', 'House Sparrow', 'Common Wood Pigeon']
+        },
+        {
+            id: 'new-york', label: 'New York, USA', lat: 40.71, lon: -74.01, call: 'American Robin',
+            species: ['American Robin', 'Northern Cardinal', 'Blue Jay', 'Mourning Dove', 'House Sparrow']
+        }
     ];
+    const DEFAULT_REGION = 'bangalore';
+    let region = REGION_PACKS[0];
+    let birdSpecies = [];
+
+    // Spectrogram: one column per step, SPEC_ROWS bands from 0 to SPEC_MAX_FREQ
+    const FFT_SIZE = 512;
+    const SYNTH_SAMPLE_RATE = 22050;
+    const SPEC_ROWS = 48;
+    const SPEC_COLUMNS = 120;
+    const SPEC_MAX_FREQ = 8000;
+    const hannWindow = Array.from({ length: FFT_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1)));
+    const fftRe = new Float32Array(FFT_SIZE);
+    const fftIm = new Float32Array(FFT_SIZE);
+    let spectrogram = [];          // columns of SPEC_ROWS levels (0..1), oldest first
+    let spectrogramImage = null;   // SPEC_COLUMNS x SPEC_ROWS scratch canvas
+    let frequencyData = null;
+
+    // Reference call fingerprints: mean level in 16 bands of 500 Hz (0-8 kHz),
+    // taken from short recordings of each call type
+    const FEATURE_BANDS = 16;
+    const REFERENCE_LIBRARY = [
+        { species: 'Indian Robin', call: 'song', bands: [0.05, 0.05, 0.1, 0.2, 0.55, 0.8, 0.95, 1, 0.9, 0.75, 0.6, 0.4, 0.2, 0.1, 0.05, 0.05] },
+        { species: 'Indian Robin', call: 'alarm', bands: [0.05, 0.05, 0.05, 0.1, 0.3, 0.6, 0.9, 1, 0.85, 0.5, 0.25, 0.1, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'House Sparrow', call: 'chirp', bands: [0.05, 0.05, 0.05, 0.1, 0.3, 0.7, 1, 0.95, 0.85, 0.7, 0.5, 0.2, 0.1, 0.05, 0.05, 0.05] },
+        { species: 'Asian Koel', call: 'ku-oo', bands: [0.1, 0.75, 1, 0.85, 0.35, 0.2, 0.1, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'Asian Koel', call: 'female', bands: [0.05, 0.3, 0.8, 1, 0.7, 0.45, 0.3, 0.15, 0.1, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'Common Myna', call: 'chatter', bands: [0.05, 0.2, 0.5, 0.8, 1, 0.95, 0.9, 0.8, 0.6, 0.3, 0.15, 0.1, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'Red-vented Bulbul', call: 'song', bands: [0.05, 0.1, 0.3, 0.7, 1, 0.95, 0.85, 0.5, 0.2, 0.1, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'House Crow', call: 'caw', bands: [0.3, 0.8, 1, 0.95, 0.8, 0.35, 0.15, 0.1, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'Rose-ringed Parakeet', call: 'screech', bands: [0.05, 0.05, 0.1, 0.3, 0.7, 0.9, 1, 0.95, 0.9, 0.65, 0.3, 0.1, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'Indian Peafowl', call: 'may-awe', bands: [0.4, 0.95, 0.9, 0.3, 0.1, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'European Robin', call: 'song', bands: [0.05, 0.05, 0.1, 0.3, 0.65, 0.8, 0.9, 0.95, 1, 1, 1, 0.95, 0.9, 0.8, 0.6, 0.3] },
+        { species: 'Common Blackbird', call: 'song', bands: [0.05, 0.1, 0.3, 0.75, 0.95, 1, 0.95, 0.75, 0.3, 0.1, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'Common Blackbird', call: 'alarm', bands: [0.05, 0.05, 0.2, 0.5, 0.8, 1, 1, 0.9, 0.6, 0.25, 0.1, 0.05, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'Great Tit', call: 'tea-cher', bands: [0.05, 0.05, 0.05, 0.05, 0.1, 0.3, 0.7, 0.85, 0.95, 1, 1, 0.95, 0.85, 0.7, 0.3, 0.1] },
+        { species: 'Common Wood Pigeon', call: 'coo', bands: [0.55, 0.75, 0.2, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'American Robin', call: 'song', bands: [0.05, 0.05, 0.15, 0.55, 0.9, 1, 0.9, 0.55, 0.15, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'Northern Cardinal', call: 'whistle', bands: [0.05, 0.05, 0.15, 0.35, 0.75, 0.95, 1, 1, 0.85, 0.6, 0.25, 0.1, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'Blue Jay', call: 'jay', bands: [0.1, 0.3, 0.75, 0.95, 1, 0.95, 0.75, 0.3, 0.1, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05] },
+        { species: 'Mourning Dove', call: 'coo', bands: [0.4, 0.8, 0.2, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05] }
+    ];
+    const MATCH_THRESHOLD = 0.5;
+
+    // A matcher scores audio features against known species:
+    // { name, match(features, species) } -> { [species name]: confidence 0..1 }, or a promise of it
+    const fingerprintMatcher = {
+        name: 'fingerprint',
+        match(features, species) {
+            const scores = {};
+            species.forEach(bird => {
+                const references = REFERENCE_LIBRARY.filter(ref => ref.species === bird.name);
+                scores[bird.name] = references.reduce((best, ref) => Math.max(best, correlate(features.bands, ref.bands)), 0);
+            });
+            return scores;
+        }
+    };
+    let matcher = fingerprintMatcher;
+    let scores = {};
+    let matchCycle = -1;
 
     // Animation state
     let waveformData = new Array(60).fill(0);
@@ -3439,25 +6853,494 @@ const ISO = {
     let matchedBird = null;
     let matchProgress = 0;
     let cycleTimer = 0;
+    let random = Math.random;
     const CYCLE_DURATION = 8;
 
     function resize() {
-        const rect = canvas.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
-        canvas.width = rect.width * dpr;
-        canvas.height = rect.height * dpr;
-        ctx.scale(dpr, dpr);
-        width = rect.width;
-        height = rect.height;
+        ({ width, height, scale } = viz);
         centerX = width / 2;
         centerY = height / 2;
-        scale = Math.min(width, height) / 400;
+    }
+
+    // --- Live audio ---
+    // Opt-in: the Listen button (or an audio file dropped on the canvas) feeds a Web Audio
+    // AnalyserNode and the waveform follows the real signal. With no permission, no device
+    // or no Web Audio, the synthetic chirp below keeps playing.
+    let audioContext = null;
+    let analyser = null;
+    let timeDomain = null;
+    let audioInput = null;         // { kind: 'mic'|'file', label, stop() }
+    let listenButton = null;
+    let regionSelect = null;
+
+    function ensureAnalyser() {
+        if (!audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) throw new Error('Birdsong: Web Audio is not supported');
+            audioContext = new AudioContextClass();
+            analyser = audioContext.createAnalyser();
+            analyser.fftSize = 2048;
+            analyser.smoothingTimeConstant = 0.6;
+            timeDomain = new Float32Array(analyser.fftSize);
+        }
+        // Created or resumed inside the click/drop, so autoplay policies allow it
+        if (audioContext.state === 'suspended') audioContext.resume();
+        return analyser;
+    }
+
+    // Permission prompts and decoding can outlive the canvas; late results are dropped
+    const removedError = () => new Error('Birdsong: Visualization has been removed');
+
+    function stopInput() {
+        if (audioInput) {
+            const current = audioInput;
+            audioInput = null;
+            current.stop();
+        }
+        updateListenButton();
+    }
+
+    function listen() {
+        if (viz.signal.aborted) return Promise.reject(removedError());
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            return Promise.reject(new Error('Birdsong: Microphone input is not supported'));
+        }
+        try {
+            ensureAnalyser();
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return navigator.mediaDevices.getUserMedia({ audio: true }).then(stream => {
+            // A granted stream that never gets wired up must still release the mic
+            const release = () => stream.getTracks().forEach(track => track.stop());
+            if (viz.signal.aborted) {
+                release();
+                throw removedError();
+            }
+
+            let source;
+            try {
+                stopInput();
+                source = audioContext.createMediaStreamSource(stream);
+                // Analyser only; the mic never goes to the speakers
+                source.connect(analyser);
+            } catch (err) {
+                if (source) source.disconnect();
+                release();
+                throw err;
+            }
+            audioInput = {
+                kind: 'mic',
+                label: 'LIVE MIC',
+                stop() {
+                    source.disconnect();
+                    release();
+                }
+            };
+            updateListenButton();
+        });
+    }
+
+    function playFile(file) {
+        if (viz.signal.aborted) return Promise.reject(removedError());
+        if (!file || !/^audio\//.test(file.type)) {
+            return Promise.reject(new Error('Birdsong: Not an audio file'));
+        }
+        try {
+            ensureAnalyser();
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return file.arrayBuffer()
+            .then(data => {
+                if (viz.signal.aborted) throw removedError();
+                return audioContext.decodeAudioData(data);
+            })
+            .then(buffer => {
+                if (viz.signal.aborted) throw removedError();
+                stopInput();
+                const source = audioContext.createBufferSource();
+                source.buffer = buffer;
+                source.connect(analyser);
+                source.connect(audioContext.destination);
+                const input = {
+                    kind: 'file',
+                    label: file.name.toUpperCase(),
+                    stop() {
+                        source.onended = null;
+                        source.stop();
+                        source.disconnect();
+                    }
+                };
+                // Back to the synthetic signal when the file ends
+                source.onended = () => {
+                    if (audioInput === input) {
+                        audioInput = null;
+                        source.disconnect();
+                        updateListenButton();
+                    }
+                };
+                source.start();
+                audioInput = input;
+                updateListenButton();
+            });
+    }
+
+    function updateListenButton(message) {
+        if (!listenButton) return;
+        const live = Boolean(audioInput);
+        listenButton.setAttribute('aria-pressed', String(live && audioInput.kind === 'mic'));
+        listenButton.textContent = message || (live ? '■ Stop' : '🎤 Listen');
+    }
+
+    function createAudioControls() {
+        const wrapper = canvas.parentElement;
+
+        listenButton = document.createElement('button');
+        listenButton.type = 'button';
+        listenButton.className = 'birdsong-listen';
+        listenButton.title = 'Listen through your microphone, or drop an audio file on the visualization';
+        updateListenButton();
+        listenButton.addEventListener('click', () => {
+            if (audioInput) {
+                stopInput();
+                return;
+            }
+            listen().catch(err => {
+                console.warn(err.message || 'Birdsong: Microphone unavailable');
+                updateListenButton('🎤 No mic');
+                setTimeout(() => updateListenButton(), 2000);
+            });
+        });
+        canvas.insertAdjacentElement('afterend', listenButton);
+
+        // Region picker; "Near me" only where the Geolocation API exists
+        regionSelect = document.createElement('select');
+        regionSelect.className = 'birdsong-region';
+        regionSelect.setAttribute('aria-label', 'Bird region');
+        REGION_PACKS.forEach(pack => regionSelect.add(new Option(pack.label, pack.id)));
+        if (navigator.geolocation) regionSelect.add(new Option('📍 Near me', 'nearest'));
+        regionSelect.value = region.id;
+        regionSelect.addEventListener('change', () => {
+            if (regionSelect.value !== 'nearest') {
+                setRegion(regionSelect.value);
+                return;
+            }
+            regionSelect.value = region.id;
+            locate().catch(err => console.warn(err.message));
+        });
+        listenButton.insertAdjacentElement('afterend', regionSelect);
+
+        wrapper.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            wrapper.classList.add('is-dragover');
+        }, { signal: viz.signal });
+        wrapper.addEventListener('dragleave', () => wrapper.classList.remove('is-dragover'), { signal: viz.signal });
+        wrapper.addEventListener('drop', (e) => {
+            e.preventDefault();
+            wrapper.classList.remove('is-dragover');
+            const file = e.dataTransfer.files[0];
+            playFile(file).catch(err => console.warn(err.message || 'Birdsong: Could not decode audio file'));
+        }, { signal: viz.signal });
+    }
+
+    // In-place iterative radix-2 FFT
+    function fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = (-2 * Math.PI) / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < size / 2; k++) {
+                    const wr = Math.cos(angle * k);
+                    const wi = Math.sin(angle * k);
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+    }
+
+    // One FFT window of the synthetic call: a rising note across the species' band
+    // every half second, with its octave and a little noise
+    function synthesizeWindow(samples) {
+        const [low, high] = SPECIES_CATALOG[region.call].freqRange;
+        const notePhase = time % 0.5;
+        const on = notePhase < 0.3;
+        const freq = low + (high - low) * (notePhase / 0.3);
+        for (let i = 0; i < samples.length; i++) {
+            const t = i / SYNTH_SAMPLE_RATE;
+            const tone = on
+                ? Math.sin(2 * Math.PI * freq * t) + 0.3 * Math.sin(4 * Math.PI * freq * t)
+                : 0;
+            samples[i] = tone + (random() - 0.5) * 0.02;
+        }
+    }
+
+    // Strongest level per band, mapped from [floorDb, ceilingDb] to 0..1
+    function bandLevels(decibelsAt, binHz, binCount, floorDb, ceilingDb) {
+        const column = new Float32Array(SPEC_ROWS);
+        const rowHz = SPEC_MAX_FREQ / SPEC_ROWS;
+        for (let row = 0; row < SPEC_ROWS; row++) {
+            const first = Math.floor((row * rowHz) / binHz);
+            const last = Math.min(binCount - 1, Math.max(first, Math.floor(((row + 1) * rowHz) / binHz) - 1));
+            let peak = -Infinity;
+            for (let bin = first; bin <= last; bin++) peak = Math.max(peak, decibelsAt(bin));
+            column[row] = Math.max(0, Math.min(1, (peak - floorDb) / (ceilingDb - floorDb)));
+        }
+        return column;
+    }
+
+    function analyzeSpectrum() {
+        let column;
+        if (audioInput) {
+            // The analyser has already done the FFT on the real signal
+            if (!frequencyData) frequencyData = new Float32Array(analyser.frequencyBinCount);
+            analyser.getFloatFrequencyData(frequencyData);
+            const binHz = audioContext.sampleRate / analyser.fftSize;
+            column = bandLevels(bin => frequencyData[bin], binHz, frequencyData.length, -100, -30);
+        } else {
+            synthesizeWindow(fftRe);
+            for (let i = 0; i < FFT_SIZE; i++) {
+                fftRe[i] *= hannWindow[i];
+                fftIm[i] = 0;
+            }
+            fft(fftRe, fftIm);
+            // Normalized so a full-scale sine reads 0 dB
+            const norm = FFT_SIZE / 4;
+            column = bandLevels(
+                bin => 20 * Math.log10(Math.hypot(fftRe[bin], fftIm[bin]) / norm + 1e-9),
+                SYNTH_SAMPLE_RATE / FFT_SIZE,
+                FFT_SIZE / 2,
+                -70,
+                0
+            );
+        }
+
+        spectrogram.push(column);
+        if (spectrogram.length > SPEC_COLUMNS) spectrogram.shift();
+    }
+
+    function drawSpectrogram(x, y, w, h, bird) {
+        if (!spectrogramImage) {
+            spectrogramImage = document.createElement('canvas');
+            spectrogramImage.width = SPEC_COLUMNS;
+            spectrogramImage.height = SPEC_ROWS;
+        }
+        const imageCtx = spectrogramImage.getContext('2d');
+        const image = imageCtx.createImageData(SPEC_COLUMNS, SPEC_ROWS);
+        const offset = SPEC_COLUMNS - spectrogram.length;
+
+        // Newest column on the right, low frequencies at the bottom
+        spectrogram.forEach((column, c) => {
+            for (let row = 0; row < SPEC_ROWS; row++) {
+                const v = column[row];
+                const p = ((SPEC_ROWS - 1 - row) * SPEC_COLUMNS + offset + c) * 4;
+                image.data[p] = 23 + 232 * v * v;
+                image.data[p + 1] = 247;
+                image.data[p + 2] = 247;
+                image.data[p + 3] = 255 * Math.min(1, v * 1.4);
+            }
+        });
+        imageCtx.putImageData(image, 0, 0);
+
+        const top = y - h / 2;
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(spectrogramImage, x, top, w, h);
+
+        // Band of the best-matching species
+        if (bird) {
+            const [low, high] = bird.freqRange;
+            const bandTop = top + h * (1 - Math.min(high, SPEC_MAX_FREQ) / SPEC_MAX_FREQ);
+            const bandBottom = top + h * (1 - low / SPEC_MAX_FREQ);
+            ctx.fillStyle = 'rgba(5, 247, 165, 0.12)';
+            ctx.fillRect(x, bandTop, w, bandBottom - bandTop);
+            ctx.strokeStyle = 'rgba(5, 247, 165, 0.7)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.strokeRect(x, bandTop, w, bandBottom - bandTop);
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = 'rgba(5, 247, 165, 0.9)';
+            ctx.font = `${6 * scale + 1}px "JetBrains Mono", monospace`;
+            ctx.textAlign = 'right';
+            ctx.fillText(`${bird.name} · ${formatBand(bird.freqRange)}`, x + w - 4, bandTop - 3);
+        }
+
+        // Frequency axis
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.font = `${5 * scale + 1}px "JetBrains Mono", monospace`;
+        ctx.textAlign = 'left';
+        ctx.fillText(`${SPEC_MAX_FREQ / 1000}k`, x + 2, top + 8);
+        ctx.fillText('0', x + 2, top + h - 2);
+        ctx.restore();
+
+        // Same scan line as the waveform view
+        if (analysisPhase === 1) {
+            const scanX = x + (matchProgress * w);
+            ctx.strokeStyle = 'rgba(23, 247, 247, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(scanX, top);
+            ctx.lineTo(scanX, top + h);
+            ctx.stroke();
+        }
+    }
+
+    // Pearson correlation of two band profiles, clamped to 0..1
+    function correlate(a, b) {
+        const mean = v => v.reduce((sum, x) => sum + x, 0) / v.length;
+        const meanA = mean(a);
+        const meanB = mean(b);
+        let cov = 0;
+        let varA = 0;
+        let varB = 0;
+        for (let i = 0; i < a.length; i++) {
+            cov += (a[i] - meanA) * (b[i] - meanB);
+            varA += (a[i] - meanA) ** 2;
+            varB += (b[i] - meanB) ** 2;
+        }
+        return varA && varB ? Math.max(0, cov / Math.sqrt(varA * varB)) : 0;
+    }
+
+    // Features of what has been heard so far: the spectrogram averaged into FEATURE_BANDS
+    function extractFeatures() {
+        const bands = new Array(FEATURE_BANDS).fill(0);
+        const rowsPerBand = SPEC_ROWS / FEATURE_BANDS;
+        spectrogram.forEach(column => {
+            for (let row = 0; row < SPEC_ROWS; row++) {
+                bands[Math.floor(row / rowsPerBand)] += column[row] / (rowsPerBand * spectrogram.length);
+            }
+        });
+        const peakBand = bands.indexOf(Math.max(...bands));
+        return {
+            bands,
+            peakFrequency: ((peakBand + 0.5) * SPEC_MAX_FREQ) / FEATURE_BANDS,
+            spectrogram: spectrogram.map(column => Array.from(column))
+        };
+    }
+
+    function runMatcher() {
+        const cycle = Math.floor(cycleTimer / CYCLE_DURATION);
+        matchCycle = cycle;
+        scores = {};
+        let result;
+        try {
+            result = matcher.match(extractFeatures(), birdSpecies);
+        } catch (err) {
+            console.warn(`Birdsong: matcher "${matcher.name}" failed`, err);
+            return;
+        }
+        if (result && typeof result.then === 'function') {
+            // On-device models may answer asynchronously; late answers for an old cycle are dropped
+            result.then(value => {
+                if (matchCycle === cycle) scores = value || {};
+            }, err => console.warn(`Birdsong: matcher "${matcher.name}" failed`, err));
+        } else {
+            scores = result || {};
+        }
+    }
+
+    function setMatcher(next) {
+        if (next && typeof next.match !== 'function') {
+            console.warn('Birdsong: a matcher needs a match(features, species) function');
+            return false;
+        }
+        matcher = next || fingerprintMatcher;
+        matchCycle = -1;
+        return true;
+    }
+
+    function findRegion(id) {
+        return REGION_PACKS.find(pack => pack.id === id) || null;
+    }
+
+    function setRegion(id) {
+        const pack = findRegion(id);
+        if (!pack) {
+            console.warn(`Birdsong: Unknown region "${id}"`);
+            return false;
+        }
+        region = pack;
+        birdSpecies = pack.species.map(name => ({ name, ...SPECIES_CATALOG[name], confidence: 0 }));
+        if (regionSelect) regionSelect.value = pack.id;
+
+        // Start a fresh listen/analyze cycle for the new species list
+        timeline.seek(0);
+        timeline.play();
+        return true;
+    }
+
+    // Great-circle distance in km
+    function distanceKm(lat1, lon1, lat2, lon2) {
+        const rad = Math.PI / 180;
+        const dLat = (lat2 - lat1) * rad;
+        const dLon = (lon2 - lon1) * rad;
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    function nearestRegion(lat, lon) {
+        return REGION_PACKS.reduce((best, pack) =>
+            distanceKm(lat, lon, pack.lat, pack.lon) < distanceKm(lat, lon, best.lat, best.lon) ? pack : best
+        );
+    }
+
+    // Pick the nearest region from the visitor's position; the current region stays on any failure
+    function locate() {
+        if (!navigator.geolocation) {
+            return Promise.reject(new Error('Birdsong: Geolocation is not supported in this browser'));
+        }
+        return new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(
+                position => resolve(position.coords),
+                () => reject(new Error('Birdsong: Location unavailable, choose a region instead')),
+                { maximumAge: 600000, timeout: 10000 }
+            );
+        }).then(({ latitude, longitude }) => {
+            if (viz.signal.aborted) throw removedError();
+            const pack = nearestRegion(latitude, longitude);
+            setRegion(pack.id);
+            return pack.id;
+        });
+    }
+
+    function formatBand([low, high]) {
+        return `${(low / 1000).toFixed(1)}–${(high / 1000).toFixed(1)} kHz`;
     }
 
     function generateWaveform() {
         waveformData.shift();
+
+        if (audioInput) {
+            // Loudness (RMS) of the latest block, on the same scale as the synthetic signal
+            analyser.getFloatTimeDomainData(timeDomain);
+            let sum = 0;
+            for (let i = 0; i < timeDomain.length; i++) {
+                sum += timeDomain[i] * timeDomain[i];
+            }
+            waveformData.push(Math.min(1.2, Math.sqrt(sum / timeDomain.length) * 6));
+            return;
+        }
+
         const chirpFreq = Math.sin(time * 15) * Math.sin(time * 2.3);
-        const noise = (Math.random() - 0.5) * 0.3;
+        const noise = (random() - 0.5) * 0.3;
         const amplitude = analysisPhase === 0 ? 0.6 + chirpFreq * 0.4 + noise : 0.2;
         waveformData.push(amplitude);
     }
@@ -3540,7 +7423,7 @@ const ISO = {
 
         ctx.fillStyle = isMatched ? 'rgba(23, 247, 247, 0.7)' : 'rgba(255, 255, 255, 0.3)';
         ctx.font = `italic ${6 * scale}px "JetBrains Mono", monospace`;
-        ctx.fillText(bird.scientific, x + 10 * scale, y + 28 * scale);
+        ctx.fillText(`${bird.scientific} · ${formatBand(bird.freqRange)}`, x + 10 * scale, y + 28 * scale);
 
         if (confidence > 0) {
             const barWidth = (boxWidth - 20 * scale) * confidence;
@@ -3563,10 +7446,21 @@ const ISO = {
         ctx.restore();
     }
 
-    function draw() {
-        ctx.clearRect(0, 0, width, height);
-        time += 0.016;
-        cycleTimer += 0.016;
+    function reset() {
+        time = 0;
+        cycleTimer = 0;
+        waveformData = new Array(60).fill(0);
+        spectrogram = [];
+        scores = {};
+        matchCycle = -1;
+        birdSpecies.forEach(b => b.confidence = 0);
+        random = createRandom(7);
+    }
+
+    // One fixed simulation step: phase, confidences and the next waveform sample
+    function step(dt) {
+        time += dt;
+        cycleTimer += dt;
 
         const cycleProgress = (cycleTimer % CYCLE_DURATION) / CYCLE_DURATION;
 
@@ -3576,22 +7470,25 @@ const ISO = {
             matchedBird = null;
             birdSpecies.forEach(b => b.confidence = 0);
         } else if (cycleProgress < 0.7) {
+            // Score what was heard while listening, then ease the confidences in
+            if (analysisPhase === 0) runMatcher();
             analysisPhase = 1;
             matchProgress = (cycleProgress - 0.4) / 0.3;
-            birdSpecies.forEach((b, i) => {
-                if (i === 2) {
-                    b.confidence = Math.min(0.94, matchProgress * 1.2);
-                } else {
-                    b.confidence = Math.min(0.3 + Math.random() * 0.2, matchProgress * 0.5);
-                }
-            });
+            const reveal = Math.min(1, matchProgress * 1.2);
+            birdSpecies.forEach(b => b.confidence = (scores[b.name] || 0) * reveal);
         } else {
             analysisPhase = 2;
-            matchedBird = birdSpecies[2];
-            matchedBird.confidence = 0.94;
+            birdSpecies.forEach(b => b.confidence = scores[b.name] || 0);
+            const best = birdSpecies.reduce((top, b) => b.confidence > top.confidence ? b : top);
+            matchedBird = best.confidence >= MATCH_THRESHOLD ? best : null;
         }
 
         generateWaveform();
+        analyzeSpectrum();
+    }
+
+    function draw() {
+        ctx.clearRect(0, 0, width, height);
 
         // Layout - fills container vertically with better top padding
         const contentWidth = width - PADDING * 2;
@@ -3608,16 +7505,23 @@ const ISO = {
         ctx.fillStyle = 'rgba(23, 247, 247, 0.8)';
         ctx.font = `bold ${8 * scale + 1}px "JetBrains Mono", monospace`;
         ctx.textAlign = 'left';
-        ctx.fillText('AUDIO INPUT', PADDING, topPadding);
+        ctx.fillText(audioInput ? `AUDIO INPUT · ${audioInput.label}`.slice(0, 28) : 'AUDIO INPUT', PADDING, topPadding);
 
         const statusText = analysisPhase === 0 ? '● LISTENING...' :
-                          analysisPhase === 1 ? '● ANALYZING...' : '● MATCH FOUND';
-        const statusColor = analysisPhase === 2 ? 'rgba(5, 247, 165, 0.9)' : 'rgba(23, 247, 247, 0.7)';
+                          analysisPhase === 1 ? '● ANALYZING...' :
+                          matchedBird ? '● MATCH FOUND' : '● NO MATCH';
+        const statusColor = analysisPhase === 2 && matchedBird ? 'rgba(5, 247, 165, 0.9)' : 'rgba(23, 247, 247, 0.7)';
         ctx.fillStyle = statusColor;
         ctx.textAlign = 'right';
         ctx.fillText(statusText, width - PADDING, topPadding);
 
-        drawWaveform(PADDING, waveformY, contentWidth, waveformHeight);
+        // Analysis swaps the amplitude strip for the spectrogram, marking the leading species' band
+        if (analysisPhase === 0) {
+            drawWaveform(PADDING, waveformY, contentWidth, waveformHeight);
+        } else {
+            const leader = birdSpecies.reduce((best, bird) => bird.confidence > best.confidence ? bird : best);
+            drawSpectrogram(PADDING, waveformY, contentWidth, waveformHeight, leader.confidence > 0 ? leader : null);
+        }
 
         // Species match section
         const speciesLabelY = waveformY + waveformHeight + speciesHeaderHeight;
@@ -3650,31 +7554,57 @@ const ISO = {
         ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
         ctx.font = `${6 * scale}px "JetBrains Mono", monospace`;
         ctx.textAlign = 'center';
-        ctx.fillText('📍 Bangalore, India', centerX, height - 8);
-    }
-
-    function animate() {
-        if (!isAnimating) return;
-        draw();
-        animationId = requestAnimationFrame(animate);
-    }
-
-    function startAnimation() {
-        if (!isAnimating) { isAnimating = true; animate(); }
-    }
-
-    function stopAnimation() {
-        isAnimating = false;
-        if (animationId) { cancelAnimationFrame(animationId); animationId = null; }
+        ctx.fillText(`📍 ${region.label}`, centerX, height - 8);
     }
 
     resize();
-    window.addEventListener('resize', resize);
 
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => entry.isIntersecting ? startAnimation() : stopAnimation());
-    }, { threshold: 0.1 });
-
-    observer.observe(canvas);
+    // data-region picks a pack up front; "nearest" asks for the visitor's location
+    const requestedRegion = canvas.dataset.region;
+    if (!requestedRegion || requestedRegion === 'nearest' || !setRegion(requestedRegion)) setRegion(DEFAULT_REGION);
+
+    createAudioControls();
+    if (requestedRegion === 'nearest') locate().catch(err => console.warn(err.message));
+
+    viz.api = {
+        listen,
+        playFile,
+        stop: stopInput,
+        getInput: () => (audioInput ? audioInput.kind : 'synthetic'),
+        // Latest spectrogram columns (levels 0..1 per band) and the band layout
+        getSpectrogram: () => ({
+            maxFrequency: SPEC_MAX_FREQ,
+            columns: spectrogram.map(column => Array.from(column))
+        }),
+        // Swap in another matcher (e.g. an on-device model); null restores the fingerprint matcher
+        setMatcher,
+        getMatcher: () => matcher.name,
+        getMatches: () => birdSpecies
+            .map(bird => ({ name: bird.name, confidence: bird.confidence }))
+            .sort((a, b) => b.confidence - a.confidence),
+        getMatchedSpecies: () => (matchedBird ? matchedBird.name : null),
+        referenceLibrary: REFERENCE_LIBRARY,
+        setRegion,
+        getRegion: () => region.id,
+        getRegions: () => REGION_PACKS.map(({ id, label }) => ({ id, label })),
+        locate
+    };
     console.log('%c✓ Birdsong Recognition visualization initialized!', 'color: #17f7f7; font-size: 12px;');
-})();
+
+    return {
+        reset,
+        step,
+        draw,
+        resize,
+        teardown() {
+            stopInput();
+            if (audioContext) audioContext.close();
+            // Later API calls must not reuse the closed context
+            audioContext = null;
+            analyser = null;
+            timeDomain = null;
+            listenButton.remove();
+            regionSelect.remove();
+        }
+    };
+}, { global: 'birdsong' });
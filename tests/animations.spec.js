@@ -69,19 +69,28 @@ test.describe('Animation Tests', () => {
             const canvas = page.locator(CANVAS_ELEMENTS.prism);
 
             if (await canvas.isVisible()) {
-                // Check canvas has content (not all transparent)
-                const hasContent = await page.evaluate((sel) => {
-                    const canvas = document.querySelector(sel);
-                    if (!canvas) return false;
-                    const ctx = canvas.getContext('2d');
-                    if (!ctx) return false;
-                    const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+                await page.waitForTimeout(500);
+
+                // Check canvas has content (not all transparent). The canvas may have been
+                // transferred to a worker, so read the frame back through the scene.
+                const hasContent = await page.evaluate(async () => {
+                    const scene = window.heroPrismScene;
+                    if (!scene) return false;
+                    const blob = await scene.captureFrame();
+                    if (!blob) return false;
+                    const bitmap = await createImageBitmap(blob);
+                    const probe = document.createElement('canvas');
+                    probe.width = bitmap.width;
+                    probe.height = bitmap.height;
+                    const ctx = probe.getContext('2d');
+                    ctx.drawImage(bitmap, 0, 0);
+                    const data = ctx.getImageData(0, 0, probe.width, probe.height).data;
                     // Check if any pixel has non-zero alpha
                     for (let i = 3; i < data.length; i += 4) {
                         if (data[i] > 0) return true;
                     }
                     return false;
-                }, CANVAS_ELEMENTS.prism);
+                });
 
                 expect(hasContent).toBe(true);
             }
@@ -113,6 +122,278 @@ test.describe('Animation Tests', () => {
             await page.waitForTimeout(500);
             expect(errors.length).toBe(0);
         });
+
+        test('PrismScene API should mount an independent scene', async ({ page }) => {
+            const errors = [];
+            page.on('pageerror', err => errors.push(err));
+
+            const result = await page.evaluate(async () => {
+                const host = document.createElement('div');
+                host.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 400px;';
+                const canvas = document.createElement('canvas');
+                host.appendChild(canvas);
+                document.body.appendChild(host);
+
+                const scene = new PrismScene(canvas, { quality: 'LOW' });
+                scene.start();
+                await new Promise(resolve => setTimeout(resolve, 300));
+
+                scene.setQuality('MINIMAL');
+                scene.setSpectrum([{ name: 'cyan', color: '#17f7f7', opacity: 0.9, n: 1.6 }]);
+                const quality = scene.getQuality();
+
+                scene.stop();
+                scene.destroy();
+                host.remove();
+
+                return { quality, heroIsScene: window.heroPrismScene instanceof PrismScene };
+            });
+
+            expect(result.quality).toBe('MINIMAL');
+            expect(result.heroIsScene).toBe(true);
+            expect(errors.length).toBe(0);
+        });
+
+        test('PrismScene setSpectrum should accept any CSS color and reject invalid ones', async ({ page }) => {
+            const warnings = [];
+            page.on('console', msg => {
+                if (msg.type() === 'warning') warnings.push(msg.text());
+            });
+
+            await page.evaluate(() => {
+                const canvas = document.createElement('canvas');
+                document.body.appendChild(canvas);
+                const scene = new PrismScene(canvas, { quality: 'LOW', worker: false });
+
+                scene.setSpectrum([
+                    { name: 'red', color: 'rgb(255, 0, 0)' },
+                    { name: 'violet', color: 'rgba(191, 90, 242, 0.5)' },
+                    { name: 'gold', color: 'gold' },
+                    { name: 'cyan', color: '#17f7f7' }
+                ]);
+                scene.setSpectrum([{ name: 'broken', color: 'not-a-color' }]);
+
+                scene.destroy();
+                canvas.remove();
+            });
+
+            const colorWarnings = warnings.filter(text => text.includes('is not a valid CSS color'));
+            expect(colorWarnings).toEqual(['PrismScene: Band color "not-a-color" is not a valid CSS color']);
+        });
+
+        test('PrismScene should clamp a collapsed container to the minimum size', async ({ page }) => {
+            const size = await page.evaluate(() => {
+                const host = document.createElement('div');
+                host.style.cssText = 'position:fixed;left:0;top:0;width:0;height:0;';
+                const canvas = document.createElement('canvas');
+                host.appendChild(canvas);
+                document.body.appendChild(host);
+
+                const scene = new PrismScene(canvas, { worker: false });
+                const result = { width: canvas.style.width, height: canvas.style.height };
+                scene.destroy();
+                host.remove();
+                return result;
+            });
+
+            expect(size).toEqual({ width: '320px', height: '480px' });
+        });
+
+        test('PrismScene should accept custom meshes and reject invalid ones', async ({ page }) => {
+            const result = await page.evaluate(() => {
+                const canvas = document.createElement('canvas');
+                document.body.appendChild(canvas);
+                const scene = new PrismScene(canvas, { quality: 'LOW' });
+
+                const tetrahedron = PrismScene.parseOBJ([
+                    'v 1 1 1', 'v -1 -1 1', 'v -1 1 -1', 'v 1 -1 -1',
+                    'f 1 2 3', 'f 1 4 2', 'f 1 3 4', 'f 2 4 3'
+                ].join('\n'));
+
+                const accepted = scene.setGeometry(tetrahedron, false);
+                const rejected = scene.setGeometry({ vertices: [[0, 0, 0]], faces: [[0, 5, 9]] });
+
+                scene.destroy();
+                canvas.remove();
+                return { faces: tetrahedron.faces.length, accepted, rejected };
+            });
+
+            expect(result.faces).toBe(4);
+            expect(result.accepted).toBe(true);
+            expect(result.rejected).toBe(false);
+        });
+
+        test('PrismScene per-face refraction should change what the scene traces', async ({ page }) => {
+            const result = await page.evaluate(async () => {
+                const wait = (ms) => new Promise(r => setTimeout(r, ms));
+                const host = document.createElement('div');
+                host.style.cssText = 'position:fixed;left:0;top:0;width:400px;height:480px;z-index:10000;';
+                const canvas = document.createElement('canvas');
+                host.appendChild(canvas);
+                document.body.appendChild(host);
+
+                // HIGH keeps face refraction available; a fixed tier keeps the comparison fair
+                const scene = new PrismScene(canvas, { quality: 'HIGH', adaptive: false, worker: false });
+                scene.start();
+                window.dispatchEvent(new MouseEvent('mousemove', { clientX: 40, clientY: 60 }));
+                await wait(1500);
+
+                const hull = await scene.getStats();
+                scene.setRefractionMode('faces');
+                const requested = scene.getRefractionMode();
+                await wait(200);
+                const faces = await scene.getStats();
+
+                scene.destroy();
+                host.remove();
+                return { requested, hull, faces };
+            });
+
+            expect(result.requested).toBe('faces');
+            expect(result.hull.refraction).toBe('hull');
+            expect(result.faces.refraction).toBe('faces');
+            expect(result.faces.frames).toBeGreaterThan(result.hull.frames);
+
+            // Rays bend at every facet instead of the outline, so the traced light differs
+            expect(result.hull.beams).toBeGreaterThan(1);
+            const lengthChange = Math.abs(result.faces.beamLength - result.hull.beamLength) / result.hull.beamLength;
+            expect(result.faces.beams !== result.hull.beams || lengthChange > 0.05).toBe(true);
+        });
+
+        test('PrismScene should render in a worker when OffscreenCanvas is available', async ({ page }) => {
+            const supportsOffscreen = await page.evaluate(() =>
+                typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function'
+            );
+            const mode = await page.evaluate(() => window.heroPrismScene.mode);
+            expect(mode).toBe(supportsOffscreen ? 'worker' : 'main');
+            if (mode !== 'worker') {
+                test.skip();
+                return;
+            }
+
+            const stats = () => page.evaluate(() => window.heroPrismScene.getStats());
+            const canvasBox = () => page.evaluate(() => {
+                const rect = document.getElementById('prism-canvas').getBoundingClientRect();
+                return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+            });
+
+            // Frames reach the OffscreenCanvas
+            const first = await stats();
+            await page.waitForTimeout(500);
+            const second = await stats();
+            expect(second.running).toBe(true);
+            expect(second.visible).toBe(true);
+            expect(second.frames).toBeGreaterThan(first.frames);
+
+            // Pointer moves are forwarded (in canvas pixels)
+            const box = await canvasBox();
+            await page.mouse.move(box.left + 150, box.top + 200);
+            await page.waitForTimeout(100);
+            expect((await stats()).pointer).toEqual({ x: 150, y: 200 });
+
+            // Resizes are forwarded after the debounce
+            const viewport = page.viewportSize();
+            await page.setViewportSize({ width: viewport.width - 100, height: viewport.height });
+            await page.waitForTimeout(500);
+            const resized = await canvasBox();
+            expect((await stats()).width).toBe(resized.width);
+            await page.setViewportSize(viewport);
+
+            // Scrolled off screen the scheduler stops the worker's loop; back on screen it resumes
+            await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+            await page.waitForTimeout(500);
+            const hidden = await stats();
+            await page.waitForTimeout(300);
+            expect(hidden.visible).toBe(false);
+            expect((await stats()).frames).toBe(hidden.frames);
+
+            await page.evaluate(() => window.scrollTo(0, 0));
+            await page.waitForTimeout(500);
+            const shown = await stats();
+            expect(shown.visible).toBe(true);
+            expect(shown.frames).toBeGreaterThan(hidden.frames);
+
+            // A scene mounted off screen stays idle until it first scrolls into view
+            const offscreen = await page.evaluate(async () => {
+                const host = document.createElement('div');
+                host.style.cssText = 'position:fixed;left:0;top:200vh;width:320px;height:480px;';
+                const canvas = document.createElement('canvas');
+                host.appendChild(canvas);
+                document.body.appendChild(host);
+
+                const scene = new PrismScene(canvas);
+                scene.start();
+                await new Promise(r => setTimeout(r, 300));
+                const before = await scene.getStats();
+                await new Promise(r => setTimeout(r, 300));
+                const after = await scene.getStats();
+
+                host.style.top = '0';
+                await new Promise(r => setTimeout(r, 500));
+                const onScreen = await scene.getStats();
+                scene.destroy();
+                host.remove();
+                return { mode: scene.mode, before, after, onScreen };
+            });
+            expect(offscreen.mode).toBe('worker');
+            expect(offscreen.before.visible).toBe(false);
+            expect(offscreen.after.frames).toBe(offscreen.before.frames);
+            expect(offscreen.onScreen.visible).toBe(true);
+            expect(offscreen.onScreen.frames).toBeGreaterThan(offscreen.after.frames);
+        });
+
+        test('PrismScene should prefer WebGL and fall back to the 2D renderer', async ({ page }) => {
+            const result = await page.evaluate(async () => {
+                const hasWebGL = !!document.createElement('canvas').getContext('webgl');
+
+                const mount = async (options) => {
+                    const host = document.createElement('div');
+                    host.style.cssText = 'position:fixed;left:0;top:0;width:320px;height:480px;';
+                    const canvas = document.createElement('canvas');
+                    host.appendChild(canvas);
+                    document.body.appendChild(host);
+
+                    const scene = new PrismScene(canvas, Object.assign({ worker: false }, options));
+                    scene.start();
+                    await new Promise(r => setTimeout(r, 300));
+                    const backend = scene.getBackend();
+                    const blob = await scene.captureFrame();
+                    scene.destroy();
+                    host.remove();
+                    return { backend, hasFrame: !!blob && blob.size > 0 };
+                };
+
+                return {
+                    hasWebGL,
+                    auto: await mount({}),
+                    canvas2d: await mount({ renderer: '2d' })
+                };
+            });
+
+            expect(result.auto.backend).toBe(result.hasWebGL ? 'webgl' : '2d');
+            expect(result.auto.hasFrame).toBe(true);
+            expect(result.canvas2d.backend).toBe('2d');
+            expect(result.canvas2d.hasFrame).toBe(true);
+        });
+
+        test('PrismScene should report quality tier changes', async ({ page }) => {
+            const change = await page.evaluate(() => new Promise((resolve) => {
+                const scene = window.heroPrismScene;
+                const timeout = setTimeout(() => resolve(null), 3000);
+                document.addEventListener('qualitychange', (e) => {
+                    clearTimeout(timeout);
+                    resolve(e.detail);
+                }, { once: true });
+                scene.setQuality(scene.getQuality() === 'LOW' ? 'MEDIUM' : 'LOW');
+            }));
+
+            expect(change).not.toBeNull();
+            expect(change.reason).toBe('manual');
+            expect(['LOW', 'MEDIUM']).toContain(change.tier);
+
+            const tier = await page.evaluate(() => window.heroPrismScene.getQuality());
+            expect(tier).toBe(change.tier);
+        });
     });
 
     // ==========================================
@@ -361,6 +642,435 @@ test.describe('Animation Tests', () => {
 
             expect(criticalErrors.length).toBe(0);
         });
+
+        test('gate-only scheduler tasks should hear start and stop without frames', async ({ page }) => {
+            const events = await page.evaluate(async () => {
+                const events = [];
+                const task = AnimationScheduler.register('test:gate', {
+                    onStart: () => events.push('start'),
+                    onStop: () => events.push('stop')
+                });
+                AnimationScheduler.pause();
+                AnimationScheduler.resume();
+                await new Promise(r => setTimeout(r, 100));
+                task.unregister();
+                return events;
+            });
+
+            expect(events).toEqual(['start', 'stop', 'start', 'stop']);
+        });
+
+        test('canvas modules should share one animation scheduler', async ({ page }) => {
+            const result = await page.evaluate(async () => {
+                const wait = (ms) => new Promise(r => setTimeout(r, ms));
+                const deltas = [];
+                const task = AnimationScheduler.register('test:probe', {
+                    tick: (dt) => deltas.push(dt)
+                });
+                await wait(300);
+
+                const before = AnimationScheduler.stats();
+                AnimationScheduler.pause();
+                const ticksAtPause = deltas.length;
+                await wait(200);
+                const paused = AnimationScheduler.stats();
+                const ticksWhilePaused = deltas.length - ticksAtPause;
+                AnimationScheduler.resume();
+                await wait(100);
+
+                task.unregister();
+                return { before, paused, ticksWhilePaused, deltas };
+            });
+
+            // Hero prism plus the other canvas modules, plus the probe
+            expect(result.before.tasks).toBeGreaterThan(1);
+            expect(result.before.running).toBeGreaterThan(0);
+            expect(result.paused.running).toBe(0);
+            expect(result.ticksWhilePaused).toBe(0);
+
+            // Real elapsed seconds, clamped after the pause
+            const ticking = result.deltas.slice(1);
+            expect(ticking.length).toBeGreaterThan(0);
+            ticking.forEach(dt => {
+                expect(dt).toBeGreaterThanOrEqual(0);
+                expect(dt).toBeLessThanOrEqual(0.1);
+            });
+        });
+
+        test('project visualizations should seek to an exact time', async ({ page }) => {
+            const result = await page.evaluate(() => {
+                const canvases = {
+                    'boq': '#viz-bill-boq',
+                    'whatsapp-crm': '#viz-perhitsiksha',
+                    'birdsong': '#viz-birdsong'
+                };
+                return Object.keys(canvases).map(name => {
+                    const timeline = VizTimeline.get(name);
+                    if (!timeline) return null;
+                    const canvas = document.querySelector(canvases[name]);
+
+                    timeline.seek(2.5);
+                    const first = canvas.toDataURL();
+                    timeline.seek(5);
+                    timeline.seek(2.5);
+                    const second = canvas.toDataURL();
+                    const time = timeline.time;
+                    timeline.play();
+
+                    return { name, time, same: first === second };
+                }).filter(Boolean);
+            });
+
+            expect(result.length).toBe(3);
+            result.forEach(({ time, same }) => {
+                expect(time).toBeCloseTo(2.5, 5);
+                expect(same).toBe(true);
+            });
+        });
+
+        test('visualization registry should mount a new case study canvas without boilerplate', async ({ page }) => {
+            const result = await page.evaluate(() => {
+                const calls = [];
+                VizRegistry.define('demo-card', (viz) => {
+                    let t = 0;
+                    calls.push(`setup ${viz.width > 0}`);
+                    return {
+                        reset: () => { t = 0; },
+                        step: (dt) => { t += dt; },
+                        draw: () => calls.push(`draw ${t.toFixed(1)}`),
+                        teardown: () => calls.push('teardown')
+                    };
+                });
+
+                const canvas = document.createElement('canvas');
+                canvas.dataset.viz = 'demo-card';
+                canvas.style.cssText = 'width: 200px; height: 100px;';
+                document.querySelector('.methodology-card-image-wrapper').appendChild(canvas);
+                VizRegistry.mountAll();
+
+                const viz = VizRegistry.get(canvas);
+                VizTimeline.get('demo-card').seek(2);
+                VizRegistry.unmount(canvas);
+                canvas.remove();
+
+                return {
+                    calls,
+                    backingWidth: viz.canvas.width,
+                    aborted: viz.signal.aborted,
+                    timelineGone: VizTimeline.get('demo-card') === undefined
+                };
+            });
+
+            expect(result.calls).toEqual(['setup true', 'draw 2.0', 'teardown']);
+            expect(result.backingWidth).toBeGreaterThanOrEqual(200);
+            expect(result.aborted).toBe(true);
+            expect(result.timelineGone).toBe(true);
+        });
+
+        test('each mounted canvas should keep its own api, with the global following the first one', async ({ page }) => {
+            const result = await page.evaluate(() => {
+                VizRegistry.define('demo-api', (viz) => {
+                    viz.api = { canvasId: viz.canvas.id };
+                    return { draw: () => {} };
+                }, { global: 'demoApi' });
+
+                const wrapper = document.querySelector('.methodology-card-image-wrapper');
+                const canvases = ['demo-a', 'demo-b'].map(id => {
+                    const canvas = document.createElement('canvas');
+                    canvas.id = id;
+                    canvas.dataset.viz = 'demo-api';
+                    canvas.style.cssText = 'width: 200px; height: 100px;';
+                    wrapper.appendChild(canvas);
+                    return canvas;
+                });
+                VizRegistry.mountAll();
+
+                const apis = canvases.map(canvas => VizRegistry.get(canvas).api.canvasId);
+                const globals = [window.demoApi.canvasId];
+                VizRegistry.unmount(canvases[0]);
+                globals.push(window.demoApi.canvasId);
+                VizRegistry.unmount(canvases[1]);
+                globals.push('demoApi' in window);
+                canvases.forEach(canvas => canvas.remove());
+
+                return {
+                    apis,
+                    globals,
+                    boqIsMounted: window.boqGenerator === VizRegistry.get(document.querySelector('canvas[data-viz="boq"]')).api
+                };
+            });
+
+            expect(result.apis).toEqual(['demo-a', 'demo-b']);
+            expect(result.globals).toEqual(['demo-a', 'demo-b', false]);
+            expect(result.boqIsMounted).toBe(true);
+        });
+
+        test('BOQ visualization should lay out a loaded bill of any length', async ({ page }) => {
+            const errors = [];
+            page.on('pageerror', err => errors.push(err));
+
+            const result = await page.evaluate(async () => {
+                const items = [];
+                for (let i = 0; i < 30; i++) {
+                    items.push({
+                        item: `Line item ${i + 1}`,
+                        qty: 10 + i,
+                        unit: 'm²',
+                        rate: 500,
+                        group: i < 15 ? 'Substructure' : 'Superstructure'
+                    });
+                }
+                items.push({ item: 'Missing rate', qty: 4, unit: 'nos' });
+
+                const loaded = await window.boqGenerator.load({ items });
+
+                // Step through every page of the bill
+                const timeline = VizTimeline.get('boq');
+                for (let t = 0; t <= 40; t += 2.5) {
+                    timeline.seek(t);
+                }
+                timeline.play();
+
+                return { loaded, kept: window.boqGenerator.getItems().length };
+            });
+
+            expect(result.loaded).toBe(30);
+            expect(result.kept).toBe(30);
+            expect(errors.length).toBe(0);
+        });
+
+        test('BOQ totals should convert and format per currency and locale', async ({ page }) => {
+            const result = await page.evaluate(() => {
+                const boq = window.boqGenerator;
+                const lakh = boq.formatCurrency(1100000);
+
+                boq.setCurrency('INR', 'en-US');
+                const million = boq.formatCurrency(1100000);
+
+                boq.setCurrency('USD');
+                const dollars = boq.formatCurrency(1100000);
+                const unknown = boq.setCurrency('XYZ');
+                const current = boq.getCurrency();
+
+                boq.setCurrency('INR');
+                return { lakh, million, dollars, unknown, current };
+            });
+
+            expect(result.lakh).toBe('₹11.0L');
+            expect(result.million).toBe('₹1.1M');
+            expect(result.dollars).toBe('$13.2K');
+            expect(result.unknown).toBe(false);
+            expect(result.current).toEqual({ currency: 'USD', locale: 'en-US' });
+        });
+
+        test('BOQ explorer should hold on hover and open a row breakdown', async ({ page }) => {
+            const canvas = page.locator('#viz-bill-boq');
+            await canvas.scrollIntoViewIfNeeded();
+            const box = await canvas.boundingBox();
+
+            // Hovering holds the timeline
+            await page.mouse.move(box.x + box.width / 2, box.y + box.height * 0.2);
+            const heldAt = await page.evaluate(() => VizTimeline.get('boq').time);
+            await page.waitForTimeout(300);
+            expect(await page.evaluate(() => VizTimeline.get('boq').time)).toBe(heldAt);
+
+            // Clicking a row opens its breakdown
+            await page.mouse.click(box.x + box.width / 2, box.y + box.height * 0.2);
+            const panel = page.locator('.boq-detail');
+            await expect(panel).toBeVisible();
+            const first = await page.evaluate(() => window.boqGenerator.getSelectedItem().item);
+            await expect(panel).toContainText(first);
+            await expect(panel).toContainText('Rate source');
+
+            // Keyboard: arrows walk the rows, Escape closes
+            await canvas.focus();
+            await page.keyboard.press('ArrowDown');
+            const second = await page.evaluate(() => window.boqGenerator.getSelectedItem().item);
+            expect(second).not.toBe(first);
+            await expect(panel).toContainText(second);
+
+            await page.keyboard.press('Escape');
+            await expect(panel).toBeHidden();
+        });
+
+        test('isometric scene should draw back to front and pick the frontmost shape', async ({ page }) => {
+            const result = await page.evaluate(() => {
+                const scene = IsoScene.create();
+                const back = scene.box({ x: 0, z: 0, width: 2, depth: 2, height: 2, data: 'back' });
+                const front = scene.box({ x: 3, z: 3, width: 2, depth: 2, height: 2, data: 'front' });
+                const tower = scene.group({ x: 10 }).extrude({
+                    points: [[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2]],
+                    height: 4,
+                    data: 'tower'
+                });
+
+                const canvas = document.createElement('canvas');
+                canvas.width = canvas.height = 300;
+                scene.draw(canvas.getContext('2d'), { centerX: 100, centerY: 100, scale: 10 });
+
+                // Back corner of the front box's top; the back box's faces cover it on screen too
+                const p = ISO.project(3.2, 2, 3.2, 100, 100, 10);
+                // Back box's top corner only it covers
+                const q = ISO.project(0.2, 2, 0.2, 100, 100, 10);
+                return {
+                    front: scene.pick(p.x, p.y).data,
+                    back: scene.pick(q.x, q.y).data,
+                    miss: scene.pick(290, 290),
+                    towerFaces: scene.facesOf(tower).length,
+                    backFaces: scene.facesOf(back).length,
+                    frontIsPicked: scene.pick(p.x, p.y) === front
+                };
+            });
+
+            expect(result.front).toBe('front');
+            expect(result.frontIsPicked).toBe(true);
+            expect(result.back).toBe('back');
+            expect(result.miss).toBeNull();
+            expect(result.backFaces).toBe(3); // two sides and the top
+            expect(result.towerFaces).toBeGreaterThan(3); // the L's inner corner shows too
+        });
+
+        test('BOQ building parts should open the line items that measure them', async ({ page }) => {
+            const canvas = page.locator('#viz-bill-boq');
+            await canvas.scrollIntoViewIfNeeded();
+            const box = await canvas.boundingBox();
+
+            const parts = await page.evaluate(() => {
+                VizTimeline.get('boq').seek(4);
+                return window.boqGenerator.getBuildingParts();
+            });
+            expect(new Set(parts.map(p => p.element))).toEqual(new Set(['slabs', 'frame', 'walls', 'floors', 'services']));
+
+            const walls = parts.find(p => p.element === 'walls');
+            await page.mouse.click(box.x + walls.x, box.y + walls.y);
+            const selected = await page.evaluate(() => window.boqGenerator.getSelectedItem());
+            expect(selected.element).toBe('walls');
+            await expect(page.locator('.boq-detail')).toContainText(selected.item);
+        });
+
+        test('BOQ export should download the table drawn on the canvas', async ({ page }) => {
+            const canvas = page.locator('#viz-bill-boq');
+            await canvas.scrollIntoViewIfNeeded();
+
+            const [download] = await Promise.all([
+                page.waitForEvent('download'),
+                page.locator('.boq-export-button[data-format="csv"]').click()
+            ]);
+            expect(download.suggestedFilename()).toBe('bill-of-quantities-inr.csv');
+
+            const files = await page.evaluate(() => ({
+                csv: window.boqGenerator.exportFile('csv'),
+                xls: window.boqGenerator.exportFile('xls'),
+                items: window.boqGenerator.getItems().length
+            }));
+
+            const lines = files.csv.trim().split('\r\n');
+            expect(lines[0]).toContain('ITEM,QTY,UNIT,AMOUNT (INR)');
+            expect(lines.length).toBe(files.items + 2);
+            expect(lines[lines.length - 1]).toBe('TOTAL,,,6376000');
+
+            expect(files.xls).toContain('urn:schemas-microsoft-com:office:spreadsheet');
+            expect(files.xls).toContain('<Data ss:Type="Number">6376000</Data>');
+        });
+
+        test('WhatsApp CRM should play a scenario back deterministically', async ({ page }) => {
+            const result = await page.evaluate(() => {
+                const crm = window.whatsappCRM;
+                crm.loadScenario({
+                    students: [
+                        { name: 'Asha T.', status: 'Pending', donations: 1000 },
+                        { name: 'Kiran B.', status: 'Active', donations: 0 }
+                    ],
+                    messages: [
+                        {
+                            at: 0.2, sender: 'Parent', text: '₹2,000 for Asha',
+                            parsed: { type: 'donation', student: 'Asha T.', amount: 2000 },
+                            mutation: { student: 'Asha T.', add: { donations: 2000 }, set: { status: 'Active' } }
+                        },
+                        { at: 0.4, sender: 'Donor', text: 'Grant dates?', parsed: { type: 'inquiry' } },
+                        {
+                            at: 0.6, sender: 'Volunteer', text: 'Enrolled Dev',
+                            parsed: { type: 'student', student: 'Dev N.' },
+                            mutation: { student: 'Dev N.', create: true }
+                        }
+                    ]
+                });
+
+                const timeline = VizTimeline.get('whatsapp-crm');
+                const snapshot = (t) => {
+                    timeline.seek(t);
+                    return { processed: crm.getProcessedCount(), records: crm.getRecords() };
+                };
+
+                const states = [snapshot(1), snapshot(3), snapshot(7), snapshot(3)];
+                let rejected = false;
+                try {
+                    crm.loadScenario({ students: [], messages: [{ text: 'hi', parsed: { type: 'greeting' } }] });
+                } catch (err) {
+                    rejected = true;
+                }
+                timeline.play();
+                return { states, rejected };
+            });
+
+            const [early, afterFirst, done, replay] = result.states;
+            expect(early.processed).toBe(0);
+            expect(afterFirst.processed).toBe(1);
+            expect(afterFirst.records[0]).toEqual({ name: 'Asha T.', status: 'Active', donations: 3000 });
+            expect(done.processed).toBe(3);
+            expect(done.records.map(r => r.name)).toEqual(['Asha T.', 'Kiran B.', 'Dev N.']);
+            expect(replay).toEqual(afterFirst);
+            expect(result.rejected).toBe(true);
+        });
+
+        test('Birdsong spectrogram should show energy in the matched species band', async ({ page }) => {
+            const result = await page.evaluate(() => {
+                const timeline = VizTimeline.get('birdsong');
+                timeline.seek(4.5); // analysis phase
+                const { maxFrequency, columns } = window.birdsong.getSpectrogram();
+                timeline.play();
+
+                const rows = columns[0].length;
+                const energy = new Array(rows).fill(0);
+                columns.forEach(column => column.forEach((level, row) => { energy[row] += level; }));
+                const peakRow = energy.indexOf(Math.max(...energy));
+                return { count: columns.length, peakHz: ((peakRow + 0.5) * maxFrequency) / rows };
+            });
+
+            expect(result.count).toBeGreaterThan(0);
+            // The synthetic call is an Asian Koel (0.7–1.6 kHz)
+            expect(result.peakHz).toBeGreaterThanOrEqual(700);
+            expect(result.peakHz).toBeLessThanOrEqual(1600);
+        });
+
+        test('Birdsong should match against the reference library and accept another matcher', async ({ page }) => {
+            const result = await page.evaluate(() => {
+                const timeline = VizTimeline.get('birdsong');
+                const birdsong = window.birdsong;
+
+                timeline.seek(7); // match phase
+                const library = { matched: birdsong.getMatchedSpecies(), matches: birdsong.getMatches() };
+
+                birdsong.setMatcher({ name: 'stub-model', match: () => ({ 'Common Myna': 0.8, 'Asian Koel': 0.1 }) });
+                timeline.seek(7);
+                const swapped = { matcher: birdsong.getMatcher(), matched: birdsong.getMatchedSpecies() };
+
+                birdsong.setMatcher({ name: 'unsure', match: () => ({ 'Common Myna': 0.2 }) });
+                timeline.seek(7);
+                const unsure = birdsong.getMatchedSpecies();
+
+                birdsong.setMatcher(null);
+                timeline.play();
+                return { library, swapped, unsure, restored: birdsong.getMatcher() };
+            });
+
+            // The synthetic call is an Asian Koel; the runner-up should score clearly lower
+            expect(result.library.matched).toBe('Asian Koel');
+            expect(result.library.matches[0].confidence).toBeGreaterThan(result.library.matches[1].confidence + 0.2);
+            expect(result.swapped).toEqual({ matcher: 'stub-model', matched: 'Common Myna' });
+            expect(result.unsure).toBeNull();
+            expect(result.restored).toBe('fingerprint');
+        });
     });
 
     // ==========================================
@@ -410,6 +410,173 @@ test.describe('Interaction Tests', () => {
         });
     });
 
+    // ==========================================
+    // 3.6 MESSAGE PLAYGROUND
+    // ==========================================
+
+    test.describe('Message Playground', () => {
+
+        test('typed message should be classified and update the record', async ({ page }) => {
+            const input = page.locator('#crm-playground-input');
+            await input.scrollIntoViewIfNeeded();
+
+            // Start the scripted story from the top so it can't loop back mid-test
+            const before = await page.evaluate(() => {
+                const timeline = VizTimeline.get('whatsapp-crm');
+                timeline.seek(0);
+                timeline.play();
+                return window.whatsappCRM.getRecords().find(r => r.name === 'Rahul M.').donations;
+            });
+
+            await input.fill('paid 2000 fees for Rahul');
+            await input.press('Enter');
+
+            const result = page.locator('.crm-playground-result');
+            await expect(result).toContainText('DONATION');
+            await expect(result).toContainText('Rahul M.');
+            await expect(result).toContainText('₹2,000');
+            await expect(input).toHaveValue('');
+
+            // Runs through the same bubble -> record pipeline as the scripted messages
+            await expect.poll(() => page.evaluate(() =>
+                window.whatsappCRM.getRecords().find(r => r.name === 'Rahul M.').donations
+            ), { timeout: 10000 }).toBeGreaterThanOrEqual(before + 2000);
+        });
+
+        test('classifier should map messages to the pipeline types', async ({ page }) => {
+            const types = await page.evaluate(() => [
+                'Enrolled Meera today',
+                'When do grants open?',
+                'Priya was absent, attendance report attached',
+                'Sending ₹1.5k for Anjali'
+            ].map(text => window.whatsappCRM.classifyMessage(text).type));
+
+            expect(types).toEqual(['student', 'inquiry', 'report', 'donation']);
+        });
+    });
+
+    // ==========================================
+    // 3.7 BIRDSONG LIVE AUDIO
+    // ==========================================
+
+    test.describe('Birdsong Live Audio', () => {
+
+        test('Listen should fall back to the synthetic waveform without a mic', async ({ page }) => {
+            await page.evaluate(() => {
+                navigator.mediaDevices.getUserMedia = () =>
+                    Promise.reject(new DOMException('Permission denied', 'NotAllowedError'));
+            });
+
+            const button = page.locator('.birdsong-listen');
+            await button.scrollIntoViewIfNeeded();
+            await button.click();
+
+            await expect(button).toContainText('No mic');
+            expect(await page.evaluate(() => window.birdsong.getInput())).toBe('synthetic');
+            await expect(button).toContainText('Listen', { timeout: 4000 });
+        });
+
+        test('Listen should drive the waveform from a granted stream', async ({ page }) => {
+            // Stand-in microphone: an oscillator routed into a MediaStream
+            await page.evaluate(() => {
+                navigator.mediaDevices.getUserMedia = async () => {
+                    const audio = new AudioContext();
+                    const destination = audio.createMediaStreamDestination();
+                    const oscillator = audio.createOscillator();
+                    oscillator.frequency.value = 2500;
+                    oscillator.connect(destination);
+                    oscillator.start();
+                    return destination.stream;
+                };
+            });
+
+            const button = page.locator('.birdsong-listen');
+            await button.scrollIntoViewIfNeeded();
+            await button.click();
+
+            await expect(button).toHaveAttribute('aria-pressed', 'true');
+            expect(await page.evaluate(() => window.birdsong.getInput())).toBe('mic');
+
+            await button.click();
+            await expect(button).toHaveAttribute('aria-pressed', 'false');
+            expect(await page.evaluate(() => window.birdsong.getInput())).toBe('synthetic');
+        });
+
+        test('A mic granted after the canvas is removed should be released', async ({ page }) => {
+            const result = await page.evaluate(async () => {
+                let stream = null;
+                let grant;
+                navigator.mediaDevices.getUserMedia = () => new Promise(resolve => {
+                    grant = () => {
+                        const audio = new AudioContext();
+                        const destination = audio.createMediaStreamDestination();
+                        audio.createOscillator().connect(destination);
+                        stream = destination.stream;
+                        resolve(stream);
+                    };
+                });
+
+                const canvas = document.querySelector('canvas[data-viz="birdsong"]');
+                const api = VizRegistry.get(canvas).api;
+                const pending = api.listen().then(() => 'resolved', err => err.message);
+                VizRegistry.unmount(canvas);
+                grant();
+
+                const outcome = await pending;
+                const afterRemoval = await api.listen().catch(err => err.message);
+                return {
+                    outcome,
+                    afterRemoval,
+                    trackStates: stream.getTracks().map(track => track.readyState)
+                };
+            });
+
+            expect(result.outcome).toBe('Birdsong: Visualization has been removed');
+            expect(result.afterRemoval).toBe('Birdsong: Visualization has been removed');
+            expect(result.trackStates.length).toBeGreaterThan(0);
+            result.trackStates.forEach(state => expect(state).toBe('ended'));
+        });
+
+        test('Region picker should swap the species list', async ({ page }) => {
+            const select = page.locator('.birdsong-region');
+            await select.scrollIntoViewIfNeeded();
+            await expect(select).toHaveValue('bangalore');
+
+            await select.selectOption('london');
+
+            const result = await page.evaluate(() => {
+                VizTimeline.get('birdsong').seek(7);
+                return {
+                    region: window.birdsong.getRegion(),
+                    species: window.birdsong.getMatches().map(m => m.name),
+                    matched: window.birdsong.getMatchedSpecies()
+                };
+            });
+            expect(result.region).toBe('london');
+            expect(result.species).toContain('European Robin');
+            expect(result.species).not.toContain('Asian Koel');
+            expect(result.matched).toBe('Common Blackbird');
+        });
+
+        test('Near me should pick the closest region, and keep the current one when denied', async ({ page, context }) => {
+            const select = page.locator('.birdsong-region');
+            await select.scrollIntoViewIfNeeded();
+
+            await context.grantPermissions(['geolocation']);
+            await context.setGeolocation({ latitude: 40.7, longitude: -73.9 });
+            await select.selectOption('nearest');
+            await expect(select).toHaveValue('new-york');
+
+            await context.clearPermissions();
+            await page.evaluate(() => {
+                navigator.geolocation.getCurrentPosition = (ok, fail) => fail({ code: 1 });
+            });
+            await select.selectOption('nearest');
+            await expect(select).toHaveValue('new-york');
+            expect(await page.evaluate(() => window.birdsong.getRegion())).toBe('new-york');
+        });
+    });
+
     // ==========================================
     // FORM INTERACTIONS (if any)
     // ==========================================
@@ -486,5 +653,38 @@ test.describe('Interaction Tests', () => {
                 // (Implementation may vary)
             }
         });
+
+        test('service dropdown item should open the matching service card', async ({ page }) => {
+            const viewport = page.viewportSize();
+            if (viewport.width < 1024) {
+                test.skip();
+                return;
+            }
+
+            const servicesLink = page.locator('.nav-item.has-dropdown > .nav-link').first();
+            await servicesLink.click();
+            await page.locator('.dropdown-item[data-service="mvp-build"]').click();
+            await page.waitForTimeout(800);
+
+            const card = page.locator('.service-item[data-service="mvp-build"]');
+            await expect(card).toHaveAttribute('aria-expanded', 'true');
+            await expect(page.locator('.service-item[aria-expanded="true"]')).toHaveCount(1);
+            await expect(page.locator('.nav-item.has-dropdown')).not.toHaveClass(/active/);
+            expect(new URL(page.url()).hash).toBe('#services/mvp-build');
+
+            // The services section should be scrolled into view
+            const top = await page.evaluate(() =>
+                document.getElementById('services').getBoundingClientRect().top
+            );
+            expect(Math.abs(top)).toBeLessThan(viewport.height);
+        });
+
+        test('#services/<id> link should restore the open card on load', async ({ page }) => {
+            await page.goto('/#services/partner-pod');
+            await waitForPageReady(page);
+
+            await expect(page.locator('.service-item[data-service="partner-pod"]')).toHaveAttribute('aria-expanded', 'true');
+            await expect(page.locator('.service-item[data-service="vision-sprint"]')).toHaveAttribute('aria-expanded', 'false');
+        });
     });
 });
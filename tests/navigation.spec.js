@@ -373,6 +373,217 @@ test.describe('Navigation Tests', () => {
         });
     });
 
+    // ==========================================
+    // 1.4 SECTION ROUTER
+    // ==========================================
+
+    test.describe('Section Router', () => {
+
+        test('nav click should push a history entry and back should return', async ({ page }) => {
+            const viewport = page.viewportSize();
+            if (viewport.width < 768) {
+                test.skip();
+                return;
+            }
+
+            await page.locator('.nav-link[data-section="about"]').click();
+            await page.waitForTimeout(3000);
+
+            expect(new URL(page.url()).hash).toBe('#about');
+            await expect(page.locator(SECTIONS.about)).toBeInViewport();
+
+            await page.goBack();
+            await page.waitForTimeout(3000);
+
+            expect(new URL(page.url()).hash).toBe('');
+            const scroll = await getScrollPosition(page);
+            expect(scroll.y).toBeLessThan(100);
+        });
+
+        test('initial hash should land on its section', async ({ page }) => {
+            await page.goto('/#manifesto');
+            await waitForPageReady(page);
+
+            await expect(page.locator(SECTIONS.manifesto)).toBeInViewport();
+        });
+
+        test('?section= campaign param should land on its section and become the hash', async ({ page }) => {
+            await page.goto('/?section=about&utm_source=test');
+            await waitForPageReady(page);
+
+            await expect(page.locator(SECTIONS.about)).toBeInViewport();
+            const url = new URL(page.url());
+            expect(url.hash).toBe('#about');
+            expect(url.searchParams.get('section')).toBeNull();
+            expect(url.searchParams.get('utm_source')).toBe('test');
+        });
+
+        test('malformed service id in the hash should not throw', async ({ page }) => {
+            const errors = [];
+            page.on('pageerror', err => errors.push(err));
+
+            await page.goto('/#services/x\\');
+            await waitForPageReady(page);
+
+            expect(errors).toEqual([]);
+            await expect(page.locator('.service-item.is-expanded')).toHaveCount(0);
+        });
+
+        test('data-transition should choose the mask transition for a link', async ({ page }) => {
+            const viewport = page.viewportSize();
+            if (viewport.width < 768) {
+                test.skip();
+                return;
+            }
+
+            const names = await page.evaluate(() => window.pageTransitions.names());
+            expect(names).toEqual(expect.arrayContaining(['ellipse', 'ellipse-click', 'circle-wipe', 'blinds', 'diagonal-sweep']));
+
+            const aboutLink = page.locator('.nav-link[data-section="about"]');
+            await aboutLink.evaluate(el => el.setAttribute('data-transition', 'blinds'));
+            await aboutLink.click();
+            await page.waitForTimeout(200);
+
+            // Only the blinds cut into the overlay while it runs
+            const holes = await page.evaluate(() =>
+                Array.from(document.querySelectorAll('#ellipse-mask [fill="black"]'))
+                    .filter(el => el.style.display !== 'none')
+                    .map(el => el.tagName)
+            );
+            expect(holes).toEqual(Array(8).fill('rect'));
+
+            await page.waitForTimeout(2000);
+            await expect(page.locator(SECTIONS.about)).toBeInViewport();
+        });
+
+        test('pageTransitions.run should resolve once the section is revealed', async ({ page }) => {
+            const overlayVisibility = await page.evaluate(async () => {
+                await window.pageTransitions.run('manifesto', { transition: 'diagonal-sweep' });
+                return window.getComputedStyle(document.getElementById('transition-overlay')).visibility;
+            });
+
+            expect(overlayVisibility).toBe('hidden');
+            await expect(page.locator(SECTIONS.manifesto)).toBeInViewport();
+        });
+
+        test('a throwing onCovered handler should still reveal the page', async ({ page }) => {
+            const overlayVisibility = await page.evaluate(async () => {
+                await window.pageTransitions.run('about', {
+                    onCovered: () => { throw new Error('boom'); }
+                });
+                return window.getComputedStyle(document.getElementById('transition-overlay')).visibility;
+            });
+
+            expect(overlayVisibility).toBe('hidden');
+            await expect(page.locator(SECTIONS.about)).toBeInViewport();
+        });
+    });
+
+    // ==========================================
+    // 1.5 SCROLL-SPY
+    // ==========================================
+
+    test.describe('Scroll-Spy', () => {
+
+        const currentLinks = (page) => page.evaluate(() =>
+            Array.from(document.querySelectorAll('[aria-current="true"]')).map(el =>
+                el.getAttribute('data-section') || el.getAttribute('data-service') || el.getAttribute('aria-controls')
+            )
+        );
+
+        test('nav links should follow the section on screen', async ({ page }) => {
+            await page.evaluate(() => {
+                document.getElementById('about').scrollIntoView({ behavior: 'instant' });
+            });
+            await page.waitForTimeout(500);
+
+            await expect(page.locator('.nav-link[data-section="about"]')).toHaveClass(/is-current/);
+            // Highlighted in the cyan accent, readable on the dark header
+            await expect(page.locator('.nav-link[data-section="about"]')).toHaveCSS('color', 'rgb(23, 247, 247)');
+            await expect(page.locator('.mobile-nav-link[data-section="about"]')).toHaveAttribute('aria-current', 'true');
+            await expect(page.locator('.nav-link[data-section="services"]')).not.toHaveAttribute('aria-current', 'true');
+
+            // Back at the top nothing is current
+            await page.evaluate(() => window.scrollTo(0, 0));
+            await page.waitForTimeout(500);
+            expect(await currentLinks(page)).toEqual([]);
+        });
+
+        test('services sub-items should follow the service cards', async ({ page }) => {
+            await page.evaluate(() => {
+                const card = document.querySelector('.service-item[data-service="mvp-build"]');
+                window.scrollTo(0, card.getBoundingClientRect().top + window.scrollY - window.innerHeight / 2 + 10);
+            });
+            await page.waitForTimeout(500);
+
+            const current = await currentLinks(page);
+            expect(current).toContain('services');
+            expect(current).toContain('mobile-services-dropdown');
+            expect(current.filter(id => id === 'mvp-build')).toHaveLength(2);
+            expect(current).not.toContain('vision-sprint');
+        });
+    });
+
+    // ==========================================
+    // 1.6 HEADER HIDE / REVEAL
+    // ==========================================
+
+    test.describe('Header Hide/Reveal', () => {
+
+        const scrollBy = async (page, distance, steps = 10) => {
+            await page.mouse.move(400, 600);
+            for (let i = 0; i < steps; i++) {
+                await page.mouse.wheel(0, distance / steps);
+                await page.waitForTimeout(30);
+            }
+            await page.waitForTimeout(600);
+        };
+
+        test('header should hide on scroll down and reveal on scroll up', async ({ page }) => {
+            const header = page.locator('.main-header');
+
+            await scrollBy(page, 1500);
+            await expect(header).toHaveClass(/is-hidden/);
+            expect((await header.boundingBox()).y).toBeLessThan(0);
+
+            await scrollBy(page, -300);
+            await expect(header).not.toHaveClass(/is-hidden/);
+            expect((await header.boundingBox()).y).toBe(0);
+        });
+
+        test('header should stay near the top and return on keyboard focus', async ({ page }) => {
+            const header = page.locator('.main-header');
+
+            await scrollBy(page, 80, 4);
+            await expect(header).not.toHaveClass(/is-hidden/);
+
+            await scrollBy(page, 1500);
+            await expect(header).toHaveClass(/is-hidden/);
+
+            // Skip link first, then the logo link inside the header
+            await page.evaluate(() => document.activeElement?.blur());
+            await page.keyboard.press('Tab');
+            await page.keyboard.press('Tab');
+            await page.waitForTimeout(500);
+            await expect(header).not.toHaveClass(/is-hidden/);
+        });
+
+        test('header should not hide while the services dropdown is open', async ({ page }) => {
+            const viewport = page.viewportSize();
+            if (viewport.width < 1024) {
+                test.skip();
+                return;
+            }
+
+            await page.evaluate(() => {
+                document.querySelector('.nav-item.has-dropdown').classList.add('active');
+            });
+            await scrollBy(page, 1500);
+
+            await expect(page.locator('.main-header')).not.toHaveClass(/is-hidden/);
+        });
+    });
+
     // ==========================================
     // EXTERNAL LINKS
     // ==========================================